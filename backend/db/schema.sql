@@ -8,17 +8,87 @@ CREATE TABLE IF NOT EXISTS users (
   password_hash TEXT NOT NULL,
   is_verified BOOLEAN DEFAULT false,
   verification_token TEXT,
+  verification_token_expires_at TIMESTAMPTZ,
   reset_token TEXT,
   reset_token_expires_at TIMESTAMPTZ,
+  pending_email TEXT,
+  email_change_token TEXT,
+  email_change_expires_at TIMESTAMPTZ,
+  role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user','admin')),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','suspended','banned')),
+  suspended_until TIMESTAMPTZ,
+  totp_secret TEXT,
+  totp_enabled BOOLEAN DEFAULT false,
+  totp_last_used_step BIGINT,
+  deletion_scheduled_at TIMESTAMPTZ,
+  locale TEXT NOT NULL DEFAULT 'en',
+  digest_frequency TEXT NOT NULL DEFAULT 'off' CHECK (digest_frequency IN ('instant','daily','weekly','off')),
+  digest_last_sent_at TIMESTAMPTZ,
+  recommendations_computed_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   last_online TIMESTAMPTZ DEFAULT NOW()
 );
 
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_token_expires_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_token TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_expires_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user','admin'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','suspended','banned'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale TEXT NOT NULL DEFAULT 'en';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS digest_frequency TEXT NOT NULL DEFAULT 'off' CHECK (digest_frequency IN ('instant','daily','weekly','off'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS digest_last_sent_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS recommendations_computed_at TIMESTAMPTZ;
+
+-- Previous password hashes, to prevent reuse
+CREATE TABLE IF NOT EXISTS password_history (
+  id            SERIAL PRIMARY KEY,
+  user_id       INT REFERENCES users(id) ON DELETE CASCADE,
+  password_hash TEXT NOT NULL,
+  created_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Two-factor backup recovery codes (hashed, single use)
+CREATE TABLE IF NOT EXISTS backup_codes (
+  id        SERIAL PRIMARY KEY,
+  user_id   INT REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at   TIMESTAMPTZ
+);
+
+-- Sessions (one per issued token, keyed by the JWT id)
+CREATE TABLE IF NOT EXISTS sessions (
+  id           UUID PRIMARY KEY,
+  user_id      INT REFERENCES users(id) ON DELETE CASCADE,
+  user_agent   TEXT,
+  ip_address   TEXT,
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at   TIMESTAMPTZ NOT NULL,
+  revoked_at   TIMESTAMPTZ
+);
+
+-- Refresh tokens (rotated on every use; the session is the token family)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id         SERIAL PRIMARY KEY,
+  session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at    TIMESTAMPTZ
+);
+
 -- Profile
 CREATE TABLE IF NOT EXISTS profiles (
   user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
   gender TEXT CHECK (gender IN ('male','female','other')),
   sexual_preference TEXT CHECK (sexual_preference IN ('male','female','both')),
+  birth_date DATE,
   biography TEXT,
   latitude DOUBLE PRECISION,
   longitude DOUBLE PRECISION,
@@ -27,6 +97,8 @@ CREATE TABLE IF NOT EXISTS profiles (
   fame_rating INT DEFAULT 0
 );
 
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS birth_date DATE;
+
 -- Tags (reusable)
 CREATE TABLE IF NOT EXISTS tags (
   id SERIAL PRIMARY KEY,
@@ -36,9 +108,22 @@ CREATE TABLE IF NOT EXISTS tags (
 CREATE TABLE IF NOT EXISTS user_tags (
   user_id INT REFERENCES users(id) ON DELETE CASCADE,
   tag_id  INT REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
   PRIMARY KEY (user_id, tag_id)
 );
 
+-- Added without a default so tags from before the column existed stay
+-- undated (never trending) instead of all being dated now
+ALTER TABLE user_tags ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ;
+ALTER TABLE user_tags ALTER COLUMN created_at SET DEFAULT NOW();
+
+-- Synonyms: tag names that resolve to another tag
+CREATE TABLE IF NOT EXISTS tag_aliases (
+  alias TEXT PRIMARY KEY,
+  tag_id INT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Images
 CREATE TABLE IF NOT EXISTS images (
   id SERIAL PRIMARY KEY,
@@ -71,7 +156,31 @@ CREATE TABLE IF NOT EXISTS reports (
   id         SERIAL PRIMARY KEY,
   reporter_id INT REFERENCES users(id) ON DELETE CASCADE,
   reported_id INT REFERENCES users(id) ON DELETE CASCADE,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  reason     TEXT NOT NULL DEFAULT 'other' CHECK (reason IN ('fake_account','harassment','spam','inappropriate_content','underage','other')),
+  details    TEXT,
+  status     TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','in_review','resolved','dismissed')),
+  handled_by INT REFERENCES users(id) ON DELETE SET NULL,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS reason TEXT NOT NULL DEFAULT 'other' CHECK (reason IN ('fake_account','harassment','spam','inappropriate_content','underage','other'));
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS details TEXT;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','in_review','resolved','dismissed'));
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS handled_by INT REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS resolution_note TEXT;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Moderation audit trail
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id             SERIAL PRIMARY KEY,
+  admin_id       INT REFERENCES users(id) ON DELETE SET NULL,
+  report_id      INT REFERENCES reports(id) ON DELETE SET NULL,
+  target_user_id INT REFERENCES users(id) ON DELETE CASCADE,
+  action         TEXT NOT NULL CHECK (action IN ('triage','resolve','dismiss','suspend','ban','reinstate','merge_tag')),
+  note           TEXT,
+  created_at     TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Chat
@@ -84,6 +193,18 @@ CREATE TABLE IF NOT EXISTS messages (
   is_read    BOOLEAN DEFAULT false
 );
 
+-- Named search filter sets, re-run by the saved searches job
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id SERIAL PRIMARY KEY,
+  user_id INT REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  notify_email BOOLEAN NOT NULL DEFAULT false,
+  last_run_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
 -- Notifications
 CREATE TABLE IF NOT EXISTS notifications (
   id         SERIAL PRIMARY KEY,
@@ -91,13 +212,90 @@ CREATE TABLE IF NOT EXISTS notifications (
   type       TEXT NOT NULL,
   from_user_id INT REFERENCES users(id) ON DELETE CASCADE,
   is_read    BOOLEAN DEFAULT false,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  in_app     BOOLEAN NOT NULL DEFAULT true,
+  event_count INT NOT NULL DEFAULT 1,
+  saved_search_id INT REFERENCES saved_searches(id) ON DELETE CASCADE,
+  push_deferred BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_event_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS in_app BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS event_count INT NOT NULL DEFAULT 1;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS last_event_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS saved_search_id INT REFERENCES saved_searches(id) ON DELETE CASCADE;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS push_deferred BOOLEAN NOT NULL DEFAULT false;
+
+-- Notification settings (no row means the defaults)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  muted_types TEXT[] NOT NULL DEFAULT '{}',
+  in_app_enabled BOOLEAN NOT NULL DEFAULT true,
+  socket_enabled BOOLEAN NOT NULL DEFAULT true,
+  email_enabled BOOLEAN NOT NULL DEFAULT true,
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Collaborative-filtering candidates, computed by the recommendations job
+CREATE TABLE IF NOT EXISTS recommendation_candidates (
+  user_id INT REFERENCES users(id) ON DELETE CASCADE,
+  candidate_id INT REFERENCES users(id) ON DELETE CASCADE,
+  score REAL NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('similar_taste','likely_mutual','both')),
+  computed_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, candidate_id)
+);
+
+-- Profiles already seen for a saved search, so only new ones trigger alerts
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+  saved_search_id INT REFERENCES saved_searches(id) ON DELETE CASCADE,
+  matched_user_id INT REFERENCES users(id) ON DELETE CASCADE,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (saved_search_id, matched_user_id)
+);
+
+-- Frozen browse result order for cursor pagination
+CREATE TABLE IF NOT EXISTS browse_snapshots (
+  id UUID PRIMARY KEY,
+  user_id INT REFERENCES users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL,
+  candidate_ids INT[] NOT NULL,
+  -- Matching profiles when frozen; candidate_ids keeps the first 1000
+  total_count INT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Outbound emails, sent by the email queue job
+CREATE TABLE IF NOT EXISTS email_queue (
+  id SERIAL PRIMARY KEY,
+  to_address TEXT NOT NULL,
+  template TEXT NOT NULL,
+  locale TEXT NOT NULL DEFAULT 'en',
+  data JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','sending','sent','failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
 );
 
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_backup_codes_user_id ON backup_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
 CREATE INDEX IF NOT EXISTS idx_profiles_user_id ON profiles(user_id);
+CREATE INDEX IF NOT EXISTS idx_profiles_birth_date ON profiles(birth_date);
+CREATE INDEX IF NOT EXISTS idx_profiles_location ON profiles(latitude, longitude);
 CREATE INDEX IF NOT EXISTS idx_user_tags_user_id ON user_tags(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_tags_tag_id ON user_tags(tag_id);
 CREATE INDEX IF NOT EXISTS idx_images_user_id ON images(user_id);
@@ -107,4 +305,21 @@ CREATE INDEX IF NOT EXISTS idx_visits_visitor_id ON visits(visitor_id);
 CREATE INDEX IF NOT EXISTS idx_visits_visited_id ON visits(visited_id);
 CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id);
 CREATE INDEX IF NOT EXISTS idx_messages_receiver_id ON messages(receiver_id);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(sender_id, receiver_id, id);
 CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_reported_id ON reports(reported_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_report_id ON moderation_actions(report_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_target_user_id ON moderation_actions(target_user_id);
+CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_queue_updated_at ON email_queue(updated_at) WHERE status IN ('sent', 'failed');
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id, last_event_at) WHERE is_read = false;
+CREATE INDEX IF NOT EXISTS idx_notifications_collapse ON notifications(user_id, from_user_id, type) WHERE is_read = false;
+CREATE INDEX IF NOT EXISTS idx_visits_recent ON visits(visitor_id, visited_id, visited_at);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(receiver_id, sent_at) WHERE is_read = false;
+CREATE INDEX IF NOT EXISTS idx_browse_snapshots_expires_at ON browse_snapshots(expires_at);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_last_run_at ON saved_searches(last_run_at);
+CREATE INDEX IF NOT EXISTS idx_user_tags_created_at ON user_tags(created_at);
+CREATE INDEX IF NOT EXISTS idx_tag_aliases_tag_id ON tag_aliases(tag_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_push_deferred ON notifications(user_id) WHERE push_deferred = true;
+CREATE INDEX IF NOT EXISTS idx_notifications_saved_search_id ON notifications(saved_search_id) WHERE saved_search_id IS NOT NULL;
@@ -0,0 +1,177 @@
+import pool from '../db/pool.js';
+import { ACTIVE_ACCOUNT_FILTER } from '../utils/accountStatus.js';
+
+const BATCH_SIZE = 200;
+// Each user's candidates are recomputed at most this often
+const REFRESH_INTERVAL = '6 hours';
+// Only users seen recently get recommendations computed
+const ACTIVE_WITHIN = '30 days';
+const SIMILAR_USERS_LIMIT = 50;
+const CANDIDATES_LIMIT = 100;
+
+/**
+ * Collaborative-filtering candidates for one user, from like history:
+ * - similar taste: people liked by users whose likes overlap with this
+ *   user's (cosine similarity of their like sets)
+ * - likely mutual: people who liked users that are liked by the same
+ *   people as this user ("look-alikes"), so they may like this user too
+ * Scores are normalized to 0-1 per user.
+ */
+const findCandidates = async (client, userId) => {
+  const result = await client.query(
+    `WITH my_likes AS (
+       SELECT liked_id FROM likes WHERE liker_id = $1
+     ),
+     -- Users who liked some of the same people, and how many
+     overlapping_likers AS (
+       SELECT l.liker_id, COUNT(*) AS shared
+       FROM likes l
+       JOIN my_likes m ON m.liked_id = l.liked_id
+       WHERE l.liker_id <> $1
+       GROUP BY l.liker_id
+     ),
+     -- Like counts of those users only, rather than of every user
+     like_counts AS (
+       SELECT liker_id, COUNT(*) AS total
+       FROM likes
+       WHERE liker_id IN (SELECT liker_id FROM overlapping_likers)
+       GROUP BY liker_id
+     ),
+     similar_users AS (
+       SELECT o.liker_id AS user_id,
+              o.shared / sqrt((SELECT COUNT(*) FROM my_likes) * lc.total) AS similarity
+       FROM overlapping_likers o
+       JOIN like_counts lc ON lc.liker_id = o.liker_id
+       ORDER BY similarity DESC
+       LIMIT $2
+     ),
+     -- Users liked by some of the same people, and by how many
+     overlapping_liked AS (
+       SELECT l.liked_id, COUNT(*) AS shared
+       FROM likes l
+       JOIN likes mine ON mine.liker_id = l.liker_id AND mine.liked_id = $1
+       WHERE l.liked_id <> $1
+       GROUP BY l.liked_id
+     ),
+     liker_counts AS (
+       SELECT liked_id, COUNT(*) AS total
+       FROM likes
+       WHERE liked_id IN (SELECT liked_id FROM overlapping_liked)
+       GROUP BY liked_id
+     ),
+     lookalikes AS (
+       SELECT o.liked_id AS user_id,
+              o.shared / sqrt((SELECT COUNT(*) FROM likes WHERE liked_id = $1) * lk.total) AS similarity
+       FROM overlapping_liked o
+       JOIN liker_counts lk ON lk.liked_id = o.liked_id
+       ORDER BY similarity DESC
+       LIMIT $2
+     ),
+     taste AS (
+       SELECT l.liked_id AS candidate_id, SUM(s.similarity) AS score
+       FROM likes l
+       JOIN similar_users s ON s.user_id = l.liker_id
+       GROUP BY l.liked_id
+     ),
+     mutual AS (
+       SELECT l.liker_id AS candidate_id, SUM(la.similarity) AS score
+       FROM likes l
+       JOIN lookalikes la ON la.user_id = l.liked_id
+       GROUP BY l.liker_id
+     ),
+     combined AS (
+       SELECT COALESCE(t.candidate_id, m.candidate_id) AS candidate_id,
+              COALESCE(t.score, 0) + COALESCE(m.score, 0) AS score,
+              CASE
+                WHEN t.score IS NOT NULL AND m.score IS NOT NULL THEN 'both'
+                WHEN t.score IS NOT NULL THEN 'similar_taste'
+                ELSE 'likely_mutual'
+              END AS reason
+       FROM taste t
+       FULL OUTER JOIN mutual m ON m.candidate_id = t.candidate_id
+     )
+     SELECT c.candidate_id, c.score / MAX(c.score) OVER () AS score, c.reason
+     FROM combined c
+     WHERE c.candidate_id <> $1
+       AND c.candidate_id NOT IN (SELECT liked_id FROM my_likes)
+       AND NOT EXISTS(
+         SELECT 1 FROM blocks
+         WHERE (blocker_id = $1 AND blocked_id = c.candidate_id)
+            OR (blocker_id = c.candidate_id AND blocked_id = $1)
+       )
+     ORDER BY c.score DESC
+     LIMIT $3`,
+    [userId, SIMILAR_USERS_LIMIT, CANDIDATES_LIMIT]
+  );
+  return result.rows;
+};
+
+/**
+ * Replace one user's stored candidates
+ */
+const computeUserRecommendations = async (userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const candidates = await findCandidates(client, userId);
+
+    await client.query('DELETE FROM recommendation_candidates WHERE user_id = $1', [userId]);
+
+    if (candidates.length > 0) {
+      await client.query(
+        `INSERT INTO recommendation_candidates (user_id, candidate_id, score, reason)
+         SELECT $1::int, * FROM unnest($2::int[], $3::real[], $4::text[])`,
+        [
+          userId,
+          candidates.map(c => c.candidate_id),
+          candidates.map(c => c.score),
+          candidates.map(c => c.reason)
+        ]
+      );
+    }
+
+    await client.query(
+      'UPDATE users SET recommendations_computed_at = NOW() WHERE id = $1',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Recompute recommendation candidates for recently active users whose
+ * candidates are missing or stale, oldest first
+ */
+const computeRecommendations = async () => {
+  const result = await pool.query(
+    `SELECT u.id FROM users u
+     WHERE ${ACTIVE_ACCOUNT_FILTER}
+       AND u.last_online > NOW() - $1::interval
+       AND (u.recommendations_computed_at IS NULL
+            OR u.recommendations_computed_at < NOW() - $2::interval)
+     ORDER BY u.recommendations_computed_at NULLS FIRST
+     LIMIT $3`,
+    [ACTIVE_WITHIN, REFRESH_INTERVAL, BATCH_SIZE]
+  );
+
+  for (const { id } of result.rows) {
+    try {
+      await computeUserRecommendations(id);
+    } catch (error) {
+      console.error(`Error computing recommendations for user ${id}:`, error);
+    }
+  }
+};
+
+export {
+  computeUserRecommendations,
+  computeRecommendations,
+};
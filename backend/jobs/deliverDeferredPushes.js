@@ -0,0 +1,37 @@
+import pool from '../db/pool.js';
+import { toPreferences, isInQuietHours, pushNotifications } from '../utils/notificationService.js';
+
+/**
+ * Push notifications that were held back during their recipient's quiet
+ * hours, once those are over. Notifications read in the meantime are not
+ * pushed anymore.
+ */
+const deliverDeferredPushes = async (io) => {
+  const usersResult = await pool.query(
+    `SELECT d.user_id, row_to_json(np.*) AS preferences
+     FROM (SELECT DISTINCT user_id FROM notifications WHERE push_deferred = true) d
+     LEFT JOIN notification_preferences np ON np.user_id = d.user_id`
+  );
+
+  const now = new Date();
+  const dueUserIds = usersResult.rows
+    .filter(row => !isInQuietHours(toPreferences(row.preferences), now))
+    .map(row => row.user_id);
+
+  if (dueUserIds.length === 0) {
+    return;
+  }
+
+  const result = await pool.query(
+    `UPDATE notifications SET push_deferred = false
+     WHERE push_deferred = true AND user_id = ANY($1)
+     RETURNING id, is_read`,
+    [dueUserIds]
+  );
+
+  await pushNotifications(io, result.rows.filter(row => !row.is_read).map(row => row.id));
+};
+
+export {
+  deliverDeferredPushes,
+};
@@ -0,0 +1,46 @@
+import { purgeDeletedAccounts } from './purgeDeletedAccounts.js';
+import { processEmailQueue, purgeEmailQueue } from './processEmailQueue.js';
+import { sendDigests } from './sendDigests.js';
+import { deliverDeferredPushes } from './deliverDeferredPushes.js';
+import { computeRecommendations } from './computeRecommendations.js';
+import { runSavedSearches } from './runSavedSearches.js';
+
+// Background jobs run in-process on a fixed interval
+const jobs = [
+  { name: 'purge-deleted-accounts', intervalMs: 60 * 60 * 1000, run: purgeDeletedAccounts },
+  { name: 'process-email-queue', intervalMs: 10 * 1000, run: processEmailQueue },
+  { name: 'purge-email-queue', intervalMs: 60 * 60 * 1000, run: purgeEmailQueue },
+  { name: 'send-digests', intervalMs: 5 * 60 * 1000, run: sendDigests },
+  { name: 'deliver-deferred-pushes', intervalMs: 60 * 1000, run: deliverDeferredPushes },
+  { name: 'compute-recommendations', intervalMs: 15 * 60 * 1000, run: computeRecommendations },
+  { name: 'run-saved-searches', intervalMs: 10 * 60 * 1000, run: runSavedSearches }
+];
+
+/**
+ * Start every background job. Jobs get the Socket.io server (e.g. to
+ * check who is online). A run is skipped if the previous one is still
+ * going, and timers never keep the process alive on shutdown.
+ */
+const startJobs = (io) => {
+  jobs.forEach(job => {
+    let running = false;
+
+    const tick = async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await job.run(io);
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    setInterval(tick, job.intervalMs).unref();
+  });
+};
+
+export default startJobs;
@@ -0,0 +1,95 @@
+import pool from '../db/pool.js';
+import { deliverEmail, getRetryDelayMs } from '../utils/emailService.js';
+
+const BATCH_SIZE = 20;
+// A message stuck in 'sending' this long (worker crashed mid-send) is retried
+const STALE_SENDING_MS = 10 * 60 * 1000;
+// Sent and failed emails are kept this long, for troubleshooting
+const RETENTION_PERIOD = '30 days';
+
+/**
+ * Claim a batch of due emails. SKIP LOCKED lets several workers share the
+ * queue without picking the same rows. Stuck messages that used up their
+ * attempts are marked failed instead of being retried forever.
+ */
+const claimBatch = async () => {
+  const staleBefore = new Date(Date.now() - STALE_SENDING_MS);
+
+  await pool.query(
+    `UPDATE email_queue
+     SET status = 'failed', data = '{}', last_error = 'Sending interrupted', updated_at = NOW()
+     WHERE status = 'sending' AND updated_at < $1 AND attempts >= max_attempts`,
+    [staleBefore]
+  );
+
+  const result = await pool.query(
+    `UPDATE email_queue
+     SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM email_queue
+       WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND updated_at < $1 AND attempts < max_attempts)
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [staleBefore, BATCH_SIZE]
+  );
+  return result.rows;
+};
+
+/**
+ * Send due emails from the queue. Failures are retried with exponential
+ * backoff until max_attempts, then the email is marked failed. Once an
+ * email is sent or failed its data, which may hold one-time links, is
+ * cleared.
+ */
+const processEmailQueue = async () => {
+  const emails = await claimBatch();
+
+  for (const email of emails) {
+    try {
+      await deliverEmail(email);
+
+      await pool.query(
+        `UPDATE email_queue
+         SET status = 'sent', sent_at = NOW(), data = '{}', last_error = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [email.id]
+      );
+    } catch (error) {
+      const giveUp = email.attempts >= email.max_attempts;
+      console.error(`Error sending email ${email.id} (attempt ${email.attempts}):`, error.message);
+
+      await pool.query(
+        `UPDATE email_queue
+         SET status = $1, last_error = $2, next_attempt_at = $3, updated_at = NOW(),
+             data = CASE WHEN $1 = 'failed' THEN '{}' ELSE data END
+         WHERE id = $4`,
+        [
+          giveUp ? 'failed' : 'pending',
+          error.message,
+          new Date(Date.now() + getRetryDelayMs(email.attempts)),
+          email.id
+        ]
+      );
+    }
+  }
+};
+
+/**
+ * Delete sent and failed emails older than the retention period
+ */
+const purgeEmailQueue = async () => {
+  await pool.query(
+    `DELETE FROM email_queue
+     WHERE status IN ('sent', 'failed') AND updated_at < NOW() - $1::interval`,
+    [RETENTION_PERIOD]
+  );
+};
+
+export {
+  processEmailQueue,
+  purgeEmailQueue,
+};
@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pool from '../db/pool.js';
+
+/**
+ * Permanently delete one account: remove its uploaded files, keep the
+ * messages it exchanged (other users' conversations) with this side
+ * anonymized, then delete the user, which cascades to everything else.
+ */
+const purgeAccount = async (userId) => {
+  const imagesResult = await pool.query(
+    'SELECT url FROM images WHERE user_id = $1',
+    [userId]
+  );
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('UPDATE messages SET sender_id = NULL WHERE sender_id = $1', [userId]);
+    await client.query('UPDATE messages SET receiver_id = NULL WHERE receiver_id = $1', [userId]);
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Files go last, once the rows pointing at them are gone
+  const uploadDir = process.env.UPLOAD_DIR || 'uploads';
+  for (const { url } of imagesResult.rows) {
+    try {
+      await fs.unlink(path.join(uploadDir, path.basename(url)));
+    } catch (unlinkError) {
+      if (unlinkError.code !== 'ENOENT') {
+        console.error('Error deleting uploaded file:', unlinkError);
+      }
+    }
+  }
+};
+
+/**
+ * Purge every account whose deletion grace period has ended
+ */
+const purgeDeletedAccounts = async () => {
+  const result = await pool.query(
+    'SELECT id FROM users WHERE deletion_scheduled_at <= NOW()'
+  );
+
+  for (const { id } of result.rows) {
+    try {
+      await purgeAccount(id);
+      console.log(`Purged deleted account ${id}`);
+    } catch (error) {
+      console.error(`Error purging account ${id}:`, error);
+    }
+  }
+};
+
+export {
+  purgeAccount,
+  purgeDeletedAccounts,
+};
@@ -0,0 +1,97 @@
+import pool from '../db/pool.js';
+import { ACTIVE_ACCOUNT_FILTER } from '../utils/accountStatus.js';
+import { sendSavedSearchMatchesEmail } from '../utils/emailService.js';
+import { createNotifications, pushNotifications, toPreferences } from '../utils/notificationService.js';
+import { findSavedSearchMatches, recordSavedSearchMatches } from '../utils/savedSearches.js';
+
+const BATCH_SIZE = 100;
+// Each saved search is re-run at most this often
+const RUN_INTERVAL = '1 hour';
+
+/**
+ * Re-run one saved search. Profiles that were not matching before get the
+ * owner a single notification (and an email if the search asks for one
+ * and the email channel is on).
+ */
+const runSavedSearch = async (io, savedSearch) => {
+  const client = await pool.connect();
+  let notificationIds = [];
+  let newIds = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const matchIds = await findSavedSearchMatches(savedSearch.user_id, savedSearch.filters, client);
+    newIds = await recordSavedSearchMatches(savedSearch.id, matchIds || [], client);
+
+    if (newIds.length > 0) {
+      notificationIds = await createNotifications(client, [{
+        userId: savedSearch.user_id,
+        type: 'saved_search',
+        fromUserId: null,
+        eventCount: newIds.length,
+        savedSearchId: savedSearch.id
+      }]);
+    }
+
+    await client.query(
+      'UPDATE saved_searches SET last_run_at = NOW() WHERE id = $1',
+      [savedSearch.id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (notificationIds.length === 0) {
+    return;
+  }
+
+  await pushNotifications(io, notificationIds);
+
+  if (savedSearch.notify_email && toPreferences(savedSearch.preferences).channels.email) {
+    await sendSavedSearchMatchesEmail(
+      savedSearch.email,
+      savedSearch.username,
+      savedSearch.name,
+      newIds.length,
+      savedSearch.locale
+    );
+  }
+};
+
+/**
+ * Re-run saved searches of active accounts that were not run recently,
+ * oldest first
+ */
+const runSavedSearches = async (io) => {
+  const result = await pool.query(
+    `SELECT s.id, s.user_id, s.name, s.filters, s.notify_email,
+            u.email, u.username, u.locale,
+            row_to_json(np.*) AS preferences
+     FROM saved_searches s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN notification_preferences np ON np.user_id = u.id
+     WHERE ${ACTIVE_ACCOUNT_FILTER}
+       AND s.last_run_at < NOW() - $1::interval
+     ORDER BY s.last_run_at
+     LIMIT $2`,
+    [RUN_INTERVAL, BATCH_SIZE]
+  );
+
+  for (const savedSearch of result.rows) {
+    try {
+      await runSavedSearch(io, savedSearch);
+    } catch (error) {
+      console.error(`Error running saved search ${savedSearch.id}:`, error);
+    }
+  }
+};
+
+export {
+  runSavedSearches,
+};
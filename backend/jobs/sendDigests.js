@@ -0,0 +1,160 @@
+import pool from '../db/pool.js';
+import { queueEmail } from '../utils/emailService.js';
+import { ACTIVE_ACCOUNT_FILTER } from '../utils/accountStatus.js';
+import { signValue } from '../utils/tokens.js';
+import { toPreferences, isInQuietHours } from '../utils/notificationService.js';
+
+const BATCH_SIZE = 100;
+
+/**
+ * Signed token for the one-click unsubscribe link of a user's digests
+ */
+const getDigestUnsubscribeToken = (userId) => signValue(`digest-${userId}`);
+
+const getUnsubscribeUrl = (userId) => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${apiUrl}/api/notifications/digest/unsubscribe/${getDigestUnsubscribeToken(userId)}`;
+};
+
+/**
+ * Users due a digest: the frequency period has passed since the last one
+ * and something unread arrived since, of a type they did not mute. Instant
+ * digests only cover what arrived after the user was last online. Users
+ * who turned the email notification channel off get none.
+ */
+const findDueUsers = async (now) => {
+  const result = await pool.query(
+    `SELECT u.id, u.email, u.username, u.locale, u.digest_frequency, s.since,
+            row_to_json(np.*) AS preferences
+     FROM users u
+     LEFT JOIN notification_preferences np ON np.user_id = u.id
+     JOIN (VALUES ('instant', INTERVAL '0'), ('daily', INTERVAL '1 day'), ('weekly', INTERVAL '7 days'))
+       AS f(frequency, period) ON f.frequency = u.digest_frequency
+     CROSS JOIN LATERAL (
+       SELECT GREATEST(
+         COALESCE(u.digest_last_sent_at, u.created_at),
+         CASE WHEN u.digest_frequency = 'instant' THEN u.last_online END
+       ) AS since
+     ) s
+     WHERE u.is_verified = true
+       AND ${ACTIVE_ACCOUNT_FILTER}
+       AND COALESCE(np.email_enabled, true)
+       AND (u.digest_last_sent_at IS NULL OR u.digest_last_sent_at <= $1::timestamptz - f.period)
+       AND (
+         EXISTS(SELECT 1 FROM notifications n
+                WHERE n.user_id = u.id AND n.is_read = false
+                  AND n.type <> ALL(COALESCE(np.muted_types, '{}'))
+                  AND n.last_event_at > s.since AND n.last_event_at <= $1)
+         OR EXISTS(SELECT 1 FROM messages m
+                   WHERE m.receiver_id = u.id AND m.is_read = false
+                     AND NOT ('message' = ANY(COALESCE(np.muted_types, '{}')))
+                     AND m.sent_at > s.since AND m.sent_at <= $1)
+       )
+     ORDER BY u.digest_last_sent_at NULLS FIRST
+     LIMIT $2`,
+    [now, BATCH_SIZE]
+  );
+  return result.rows;
+};
+
+/**
+ * Unread notifications (by type) and messages received in the window,
+ * leaving out users the recipient blocked and muted types
+ */
+const summarizeUnread = async (userId, since, now, mutedTypes) => {
+  const notificationsResult = await pool.query(
+    `SELECT n.type, SUM(n.event_count)::int AS count
+     FROM notifications n
+     WHERE n.user_id = $1 AND n.is_read = false
+       AND n.last_event_at > $2 AND n.last_event_at <= $3
+       AND n.type <> ALL($4::text[])
+       AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = n.from_user_id)
+     GROUP BY n.type`,
+    [userId, since, now, mutedTypes]
+  );
+
+  const notificationCounts = {};
+  notificationsResult.rows.forEach(({ type, count }) => {
+    notificationCounts[type] = count;
+  });
+
+  // Message notifications are covered by the unread message count
+  delete notificationCounts.message;
+
+  if (mutedTypes.includes('message')) {
+    return { notificationCounts, unreadMessages: 0, conversations: 0 };
+  }
+
+  const messagesResult = await pool.query(
+    `SELECT COUNT(*)::int AS unread_messages, COUNT(DISTINCT m.sender_id)::int AS conversations
+     FROM messages m
+     WHERE m.receiver_id = $1 AND m.is_read = false
+       AND m.sent_at > $2 AND m.sent_at <= $3
+       AND m.sender_id IS NOT NULL
+       AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = m.sender_id)`,
+    [userId, since, now]
+  );
+
+  return {
+    notificationCounts,
+    unreadMessages: messagesResult.rows[0].unread_messages,
+    conversations: messagesResult.rows[0].conversations
+  };
+};
+
+/**
+ * Queue a digest email for every user who is due one. Users who are
+ * online right now are skipped for instant digests; they see it live, so
+ * their window restarts. Digests wait until the user's quiet hours are
+ * over.
+ */
+const sendDigests = async (io) => {
+  const now = new Date();
+  const users = await findDueUsers(now);
+
+  for (const user of users) {
+    if (user.digest_frequency === 'instant' && io?.isUserOnline(user.id)) {
+      // Moves them out of the front of the queue, so they cannot fill every batch
+      await pool.query(
+        'UPDATE users SET digest_last_sent_at = $1 WHERE id = $2',
+        [now, user.id]
+      );
+      continue;
+    }
+    const preferences = toPreferences(user.preferences);
+    if (isInQuietHours(preferences, now)) {
+      continue;
+    }
+
+    try {
+      const summary = await summarizeUnread(user.id, user.since, now, preferences.mutedTypes);
+      const hasNews = summary.unreadMessages > 0 || Object.keys(summary.notificationCounts).length > 0;
+
+      if (hasNews) {
+        await queueEmail({
+          to: user.email,
+          template: 'digest',
+          locale: user.locale,
+          data: {
+            username: user.username,
+            ...summary,
+            url: process.env.FRONTEND_URL,
+            unsubscribeUrl: getUnsubscribeUrl(user.id)
+          }
+        });
+      }
+
+      await pool.query(
+        'UPDATE users SET digest_last_sent_at = $1 WHERE id = $2',
+        [now, user.id]
+      );
+    } catch (error) {
+      console.error(`Error sending digest to user ${user.id}:`, error);
+    }
+  }
+};
+
+export {
+  getDigestUnsubscribeToken,
+  sendDigests,
+};
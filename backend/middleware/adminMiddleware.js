@@ -0,0 +1,22 @@
+import pool from '../db/pool.js';
+
+// Must run after authMiddleware; the role is read from the database so
+// promoting or demoting an admin takes effect without a new token.
+const adminMiddleware = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT role FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default adminMiddleware;
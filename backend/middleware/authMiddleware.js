@@ -1,6 +1,11 @@
 import jwt from 'jsonwebtoken';
+import { checkAccountStatus } from '../utils/accountStatus.js';
+import { isSessionActive } from '../utils/sessionService.js';
+import { clearAuthCookies } from '../utils/authCookies.js';
+
+const authMiddleware = async (req, res, next) => {
+  let decoded;
 
-const authMiddleware = (req, res, next) => {
   try {
     // Get token from cookie
     const token = req.cookies.token;
@@ -10,19 +15,42 @@ const authMiddleware = (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Attach user info to request
-    req.userId = decoded.userId;
-    req.user = decoded;
-    
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
     }
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  try {
+    // Reject tokens whose session was logged out or revoked
+    if (!(await isSessionActive(decoded.jti, decoded.userId))) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    // Reject suspended, banned or deleted accounts even with a valid token
+    const { exists, restriction } = await checkAccountStatus(decoded.userId);
+
+    if (!exists) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (restriction) {
+      clearAuthCookies(res);
+      return res.status(403).json(restriction);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Attach user info to request
+  req.userId = decoded.userId;
+  req.sessionId = decoded.jti;
+  req.user = decoded;
+
+  next();
 };
 
-export default authMiddleware;
\ No newline at end of file
+export default authMiddleware;
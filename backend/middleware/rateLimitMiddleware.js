@@ -0,0 +1,39 @@
+import { createRateLimiter } from '../utils/rateLimiter.js';
+
+/**
+ * Send a 429 with a Retry-After header (in seconds)
+ */
+const sendTooManyRequests = (res, retryAfterMs, error = 'Too many requests, please try again later') => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+/**
+ * Rate limit a route. Requests are keyed by client IP unless a keyGenerator
+ * is given; a keyGenerator returning a falsy key skips the limit.
+ */
+const rateLimit = ({ keyPrefix, windowMs, max, keyGenerator = (req) => req.ip }) => {
+  const limiter = createRateLimiter({ keyPrefix, windowMs, max });
+
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) {
+        return next();
+      }
+
+      const { allowed, retryAfterMs } = await limiter.consume(key);
+      if (!allowed) {
+        return sendTooManyRequests(res, retryAfterMs);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export { sendTooManyRequests };
+export default rateLimit;
@@ -0,0 +1,533 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import pool from '../db/pool.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import adminMiddleware from '../middleware/adminMiddleware.js';
+import {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  ACCOUNT_ACTIONS,
+  recordModerationAction,
+  applyAccountAction
+} from '../utils/moderation.js';
+import { MAX_TAG_LENGTH, canonicalizeTag, mergeTagAlias } from '../utils/tags.js';
+
+const router = express.Router();
+
+// GET /api/admin/reports - Moderation queue
+router.get('/reports', authMiddleware, adminMiddleware, [
+  query('status').optional().isIn(REPORT_STATUSES),
+  query('reason').optional().isIn(REPORT_REASONS),
+  query('reportedId').optional().isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason, reportedId, limit = 50, offset = 0 } = req.query;
+
+    // Validate numeric inputs
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
+    const offsetNum = Math.max(0, parseInt(offset, 10) || 0);
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+
+    if (reason) {
+      params.push(reason);
+      conditions.push(`r.reason = $${params.length}`);
+    }
+
+    if (reportedId) {
+      params.push(parseInt(reportedId, 10));
+      conditions.push(`r.reported_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+    params.push(limitNum, offsetNum);
+
+    const result = await pool.query(
+      `SELECT 
+        r.id,
+        r.reason,
+        r.details,
+        r.status,
+        r.resolution_note,
+        r.created_at,
+        r.updated_at,
+        r.reporter_id,
+        reporter.username AS reporter_username,
+        r.reported_id,
+        reported.username AS reported_username,
+        reported.status AS reported_status,
+        reported.suspended_until AS reported_suspended_until,
+        (SELECT COUNT(*) FROM reports WHERE reported_id = r.reported_id)::int AS reported_total_reports,
+        r.handled_by,
+        handler.username AS handled_by_username
+      FROM reports r
+      LEFT JOIN users reporter ON reporter.id = r.reporter_id
+      JOIN users reported ON reported.id = r.reported_id
+      LEFT JOIN users handler ON handler.id = r.handled_by
+      ${whereClause}
+      ORDER BY r.created_at ASC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    res.json({ reports: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/reports/:id - Report details with its audit trail
+router.get('/reports/:id', authMiddleware, adminMiddleware, [
+  param('id').isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT 
+        r.*,
+        reporter.username AS reporter_username,
+        reported.username AS reported_username,
+        reported.status AS reported_status,
+        reported.suspended_until AS reported_suspended_until,
+        handler.username AS handled_by_username
+      FROM reports r
+      LEFT JOIN users reporter ON reporter.id = r.reporter_id
+      JOIN users reported ON reported.id = r.reported_id
+      LEFT JOIN users handler ON handler.id = r.handled_by
+      WHERE r.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const actionsResult = await pool.query(
+      `SELECT ma.id, ma.action, ma.note, ma.created_at, ma.admin_id, u.username AS admin_username
+       FROM moderation_actions ma
+       LEFT JOIN users u ON u.id = ma.admin_id
+       WHERE ma.report_id = $1
+       ORDER BY ma.created_at ASC`,
+      [id]
+    );
+
+    const report = result.rows[0];
+    report.actions = actionsResult.rows;
+
+    res.json({ report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/reports/:id/triage - Take an open report into review
+router.put('/reports/:id/triage', authMiddleware, adminMiddleware, [
+  param('id').isInt({ min: 1 }),
+  body('note').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { note } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE reports
+         SET status = 'in_review', handled_by = $2, updated_at = NOW()
+         WHERE id = $1 AND status = 'open'
+         RETURNING *`,
+        [id, req.userId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Open report not found' });
+      }
+
+      const report = result.rows[0];
+
+      await recordModerationAction(client, {
+        adminId: req.userId,
+        reportId: report.id,
+        targetUserId: report.reported_id,
+        action: 'triage',
+        note
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ message: 'Report is now in review', report });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/reports/:id/resolve - Resolve a report, optionally actioning the account
+router.put('/reports/:id/resolve', authMiddleware, adminMiddleware, [
+  param('id').isInt({ min: 1 }),
+  body('action').optional().isIn(ACCOUNT_ACTIONS),
+  body('suspendDays').if(body('action').equals('suspend')).isInt({ min: 1, max: 365 }),
+  body('note').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { action = 'none', suspendDays, note } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE reports
+         SET status = 'resolved', handled_by = $2, resolution_note = $3, updated_at = NOW()
+         WHERE id = $1 AND status IN ('open', 'in_review')
+         RETURNING *`,
+        [id, req.userId, note || null]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pending report not found' });
+      }
+
+      const report = result.rows[0];
+      let account = null;
+
+      if (action !== 'none') {
+        account = await applyAccountAction(client, report.reported_id, action, parseInt(suspendDays, 10));
+
+        if (!account) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'This account cannot be suspended or banned' });
+        }
+
+        await recordModerationAction(client, {
+          adminId: req.userId,
+          reportId: report.id,
+          targetUserId: report.reported_id,
+          action,
+          note: action === 'suspend' ? `Suspended for ${suspendDays} day(s)` : null
+        });
+      }
+
+      await recordModerationAction(client, {
+        adminId: req.userId,
+        reportId: report.id,
+        targetUserId: report.reported_id,
+        action: 'resolve',
+        note
+      });
+
+      await client.query('COMMIT');
+
+      // Kick the account out of any live sessions
+      if (account) {
+        req.app.get('io').disconnectUser(account.id);
+      }
+
+      res.json({ message: 'Report resolved', report, account });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/reports/:id/dismiss - Dismiss a report without action
+router.put('/reports/:id/dismiss', authMiddleware, adminMiddleware, [
+  param('id').isInt({ min: 1 }),
+  body('note').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { note } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE reports
+         SET status = 'dismissed', handled_by = $2, resolution_note = $3, updated_at = NOW()
+         WHERE id = $1 AND status IN ('open', 'in_review')
+         RETURNING *`,
+        [id, req.userId, note || null]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pending report not found' });
+      }
+
+      const report = result.rows[0];
+
+      await recordModerationAction(client, {
+        adminId: req.userId,
+        reportId: report.id,
+        targetUserId: report.reported_id,
+        action: 'dismiss',
+        note
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ message: 'Report dismissed', report });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/users/:id/reinstate - Lift a suspension or ban
+router.put('/users/:id/reinstate', authMiddleware, adminMiddleware, [
+  param('id').isInt({ min: 1 }),
+  body('note').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { note } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE users
+         SET status = 'active', suspended_until = NULL
+         WHERE id = $1 AND status != 'active'
+         RETURNING id, status, suspended_until`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Suspended or banned user not found' });
+      }
+
+      await recordModerationAction(client, {
+        adminId: req.userId,
+        targetUserId: result.rows[0].id,
+        action: 'reinstate',
+        note
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ message: 'Account reinstated', account: result.rows[0] });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/audit-log - Who did what, newest first
+router.get('/audit-log', authMiddleware, adminMiddleware, [
+  query('adminId').optional().isInt({ min: 1 }),
+  query('targetUserId').optional().isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { adminId, targetUserId, limit = 50, offset = 0 } = req.query;
+
+    // Validate numeric inputs
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
+    const offsetNum = Math.max(0, parseInt(offset, 10) || 0);
+
+    const conditions = [];
+    const params = [];
+
+    if (adminId) {
+      params.push(parseInt(adminId, 10));
+      conditions.push(`ma.admin_id = $${params.length}`);
+    }
+
+    if (targetUserId) {
+      params.push(parseInt(targetUserId, 10));
+      conditions.push(`ma.target_user_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+    params.push(limitNum, offsetNum);
+
+    const result = await pool.query(
+      `SELECT 
+        ma.id,
+        ma.action,
+        ma.note,
+        ma.created_at,
+        ma.report_id,
+        ma.admin_id,
+        admin.username AS admin_username,
+        ma.target_user_id,
+        target.username AS target_username
+      FROM moderation_actions ma
+      LEFT JOIN users admin ON admin.id = ma.admin_id
+      LEFT JOIN users target ON target.id = ma.target_user_id
+      ${whereClause}
+      ORDER BY ma.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    res.json({ actions: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/tags/aliases - Tag synonyms
+router.get('/tags/aliases', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ta.alias, ta.created_at, t.id AS tag_id, t.name AS tag_name
+       FROM tag_aliases ta
+       JOIN tags t ON t.id = ta.tag_id
+       ORDER BY t.name, ta.alias`
+    );
+
+    res.json({ aliases: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/tags/aliases - Make a tag name a synonym of another tag,
+// merging the existing tag of that name
+router.post('/tags/aliases', authMiddleware, adminMiddleware, [
+  body('alias').isString().customSanitizer(canonicalizeTag).isLength({ min: 1, max: MAX_TAG_LENGTH }),
+  body('tag').isString().customSanitizer(canonicalizeTag).isLength({ min: 1, max: MAX_TAG_LENGTH })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { alias, tag } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const merged = await mergeTagAlias(client, alias, tag);
+
+      if (!merged) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'A tag cannot be a synonym of itself' });
+      }
+
+      await recordModerationAction(client, {
+        adminId: req.userId,
+        targetUserId: null,
+        action: 'merge_tag',
+        note: `"${merged.alias}" -> "${merged.tag.name}" (${merged.mergedUsers} users merged)`
+      });
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Tag alias saved',
+        alias: merged.alias,
+        tag: merged.tag,
+        mergedUsers: merged.mergedUsers
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/tags/aliases/:alias - Stop resolving a synonym
+router.delete('/tags/aliases/:alias', authMiddleware, adminMiddleware, [
+  param('alias').customSanitizer(canonicalizeTag).notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM tag_aliases WHERE alias = $1 RETURNING alias',
+      [req.params.alias]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag alias not found' });
+    }
+
+    res.json({ message: 'Tag alias deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
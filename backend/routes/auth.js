@@ -1,32 +1,129 @@
 // cspell: disable
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 // cspell: enable
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import pool from '../db/pool.js';
 import { validatePassword } from '../utils/passwordValidator.js';
-import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/emailService.js';
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendPasswordChangedEmail
+} from '../utils/emailService.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import rateLimit, { sendTooManyRequests } from '../middleware/rateLimitMiddleware.js';
+import { getAccountRestriction } from '../utils/accountStatus.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions
+} from '../utils/sessionService.js';
+import { isRecentPassword, replacePassword } from '../utils/passwordHistory.js';
+import { setAuthCookies, clearAuthCookies } from '../utils/authCookies.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../utils/emailTemplates.js';
+import { getLockoutRemaining, recordLoginFailure, clearLoginFailures } from '../utils/loginLockout.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateBackupCodes,
+  verifySecondFactor,
+  signLoginChallenge,
+  verifyLoginChallenge
+} from '../utils/twoFactor.js';
 
 const router = express.Router();
 
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Match the lifetimes promised in the verification and email change emails
+const VERIFICATION_TOKEN_TTL_MS = 24 * ONE_HOUR;
+const EMAIL_CHANGE_TOKEN_TTL_MS = 24 * ONE_HOUR;
+
+// Rate limits for unauthenticated endpoints
+const registerLimit = rateLimit({ keyPrefix: 'register-ip', windowMs: ONE_HOUR, max: 5 });
+const loginLimit = rateLimit({ keyPrefix: 'login-ip', windowMs: FIFTEEN_MINUTES, max: 20 });
+const forgotPasswordIpLimit = rateLimit({ keyPrefix: 'forgot-password-ip', windowMs: FIFTEEN_MINUTES, max: 5 });
+const forgotPasswordEmailLimit = rateLimit({
+  keyPrefix: 'forgot-password-email',
+  windowMs: ONE_HOUR,
+  max: 3,
+  keyGenerator: (req) => req.body.email
+});
+
+const resendVerificationIpLimit = rateLimit({ keyPrefix: 'resend-verification-ip', windowMs: FIFTEEN_MINUTES, max: 5 });
+const resendVerificationEmailLimit = rateLimit({
+  keyPrefix: 'resend-verification-email',
+  windowMs: ONE_HOUR,
+  max: 3,
+  keyGenerator: (req) => req.body.email
+});
+
+const emailChangeLimit = rateLimit({
+  keyPrefix: 'email-change',
+  windowMs: ONE_HOUR,
+  max: 5,
+  keyGenerator: (req) => req.userId
+});
+
+/**
+ * Finish a successful login: open a session, set cookies and return the user
+ */
+const completeLogin = async (req, res, user) => {
+  await clearLoginFailures(`user:${user.id}`, req.ip);
+
+  // Update last online; logging in during the grace period cancels account deletion
+  await pool.query(
+    'UPDATE users SET last_online = NOW(), deletion_scheduled_at = NULL WHERE id = $1',
+    [user.id]
+  );
+
+  // Create a session with its access and refresh tokens
+  const tokens = await createSession(user, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  // Set httpOnly cookies
+  setAuthCookies(res, tokens);
+
+  res.json({
+    message: 'Login successful',
+    deletionCancelled: Boolean(user.deletion_scheduled_at),
+    user: {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      firstName: user.first_name,
+      lastName: user.last_name
+    }
+  });
+};
+
 // POST /api/auth/register
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('username').isLength({ min: 3, max: 20 }).trim(),
   body('firstName').notEmpty().trim(),
   body('lastName').notEmpty().trim(),
-  body('password').isLength({ min: 8 })
-], async (req, res, next) => {
+  body('password').isLength({ min: 8 }),
+  body('locale').optional().isIn(SUPPORTED_LOCALES)
+], registerLimit, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, username, firstName, lastName, password } = req.body;
+    const { email, username, firstName, lastName, password, locale = DEFAULT_LOCALE } = req.body;
 
     // Validate password
     const passwordCheck = validatePassword(password);
@@ -46,14 +143,18 @@ router.post('/register', [
 
     // Hash password
     const passwordHash = await bcrypt.hash(password, 10);
-    const verificationToken = uuidv4();
+
+    // Only the hash of the emailed token is stored
+    const verificationToken = generateToken();
+    const verificationExpiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
 
     // Insert user
     const result = await pool.query(
-      `INSERT INTO users (email, username, first_name, last_name, password_hash, verification_token)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO users (email, username, first_name, last_name, password_hash,
+                          verification_token, verification_token_expires_at, locale)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING id, email, username, first_name, last_name, is_verified`,
-      [email, username, firstName, lastName, passwordHash, verificationToken]
+      [email, username, firstName, lastName, passwordHash, hashToken(verificationToken), verificationExpiresAt, locale]
     );
 
     const user = result.rows[0];
@@ -64,9 +165,9 @@ router.post('/register', [
       [user.id]
     );
 
-    // Send verification email
+    // Queue verification email
     try {
-      await sendVerificationEmail(email, verificationToken, username);
+      await sendVerificationEmail(email, verificationToken, username, locale);
     } catch (emailError) {
       console.error('Failed to send verification email:', emailError);
       // Continue registration even if email fails
@@ -93,12 +194,13 @@ router.get('/verify/:token', async (req, res, next) => {
   try {
     const { token } = req.params;
 
+    // Clearing the token makes it single use
     const result = await pool.query(
       `UPDATE users 
-       SET is_verified = true, verification_token = NULL 
-       WHERE verification_token = $1 
+       SET is_verified = true, verification_token = NULL, verification_token_expires_at = NULL
+       WHERE verification_token = $1 AND verification_token_expires_at > NOW()
        RETURNING id, email, username`,
-      [token]
+      [hashToken(token)]
     );
 
     if (result.rows.length === 0) {
@@ -111,11 +213,57 @@ router.get('/verify/:token', async (req, res, next) => {
   }
 });
 
+// POST /api/auth/resend-verification
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail()
+], resendVerificationIpLimit, resendVerificationEmailLimit, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+    const genericMessage = 'If the account exists and is not verified, a new verification link has been sent';
+
+    const result = await pool.query(
+      'SELECT id, username, locale FROM users WHERE email = $1 AND is_verified = false',
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      // Don't reveal if email exists or is already verified
+      return res.json({ message: genericMessage });
+    }
+
+    const user = result.rows[0];
+
+    // A new token replaces (and so invalidates) the previous one
+    const verificationToken = generateToken();
+    const verificationExpiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+
+    await pool.query(
+      'UPDATE users SET verification_token = $1, verification_token_expires_at = $2 WHERE id = $3',
+      [hashToken(verificationToken), verificationExpiresAt, user.id]
+    );
+
+    try {
+      await sendVerificationEmail(email, verificationToken, user.username, user.locale);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+    }
+
+    res.json({ message: genericMessage });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/auth/login
 router.post('/login', [
   body('emailOrUsername').notEmpty(),
   body('password').notEmpty()
-], async (req, res, next) => {
+], loginLimit, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -130,59 +278,296 @@ router.post('/login', [
       [emailOrUsername]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const user = result.rows[0];
+
+    // Failed logins are counted per account (or per identifier if unknown)
+    // and client IP
+    const lockoutKey = user ? `user:${user.id}` : `unknown:${emailOrUsername}`;
+
+    const lockoutRemaining = await getLockoutRemaining(lockoutKey, req.ip);
+    if (lockoutRemaining > 0) {
+      return sendTooManyRequests(res, lockoutRemaining, 'Too many failed login attempts, please try again later');
     }
 
-    const user = result.rows[0];
+    if (!user) {
+      await recordLoginFailure(lockoutKey, req.ip);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
     // Check if verified
     if (!user.is_verified) {
-      return res.status(403).json({ error: 'Please verify your email before logging in' });
+      return res.status(403).json({
+        error: 'Please verify your email before logging in',
+        canResendVerification: true
+      });
     }
 
     // Verify password
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
+      await recordLoginFailure(lockoutKey, req.ip);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last online
-    await pool.query(
-      'UPDATE users SET last_online = NOW() WHERE id = $1',
-      [user.id]
+    // Check if suspended or banned
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
+    // With 2FA enabled, no session is issued until a valid code is given
+    if (user.totp_enabled) {
+      const challengeToken = signLoginChallenge(user.id);
+
+      return res.json({
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/login/2fa - Second login step for accounts with 2FA
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty(),
+  body('code').isString().notEmpty()
+], loginLimit, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const challengeUserId = verifyLoginChallenge(challengeToken);
+    if (!challengeUserId) {
+      return res.status(401).json({ error: 'Login challenge expired, please log in again' });
+    }
+
+    const lockoutKey = `user:${challengeUserId}`;
+
+    const lockoutRemaining = await getLockoutRemaining(lockoutKey, req.ip);
+    if (lockoutRemaining > 0) {
+      return sendTooManyRequests(res, lockoutRemaining, 'Too many failed login attempts, please try again later');
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM users WHERE id = $1 AND totp_enabled = true',
+      [challengeUserId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    const user = result.rows[0];
+
+    if (!(await verifySecondFactor(user, code))) {
+      await recordLoginFailure(lockoutKey, req.ip);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    // Check again in case the account was actioned in between
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/setup - Start 2FA enrollment
+router.post('/2fa/setup', authMiddleware, async (req, res, next) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT email, totp_enabled FROM users WHERE id = $1',
+      [req.userId]
     );
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    if (userResult.rows[0].totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    // The secret stays inactive until a first code is verified
+    const secret = generateTotpSecret();
+
+    await pool.query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [secret, req.userId]
     );
 
-    // Set httpOnly cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, userResult.rows[0].email)
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/enable - Verify the first code and turn 2FA on
+router.post('/2fa/enable', authMiddleware, [
+  body('code').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userResult = await pool.query(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const { totp_secret: secret, totp_enabled: enabled } = userResult.rows[0];
+
+    if (enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(secret, req.body.code.trim());
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const client = await pool.connect();
+    let backupCodes;
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'UPDATE users SET totp_enabled = true, totp_last_used_step = $1 WHERE id = $2',
+        [step, req.userId]
+      );
+
+      backupCodes = await generateBackupCodes(req.userId, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        firstName: user.first_name,
-        lastName: user.last_name
-      }
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe.',
+      backupCodes
     });
   } catch (error) {
     next(error);
   }
 });
 
+// POST /api/auth/2fa/backup-codes - Replace backup codes
+router.post('/2fa/backup-codes', authMiddleware, [
+  body('code').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, totp_secret, totp_enabled FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const user = userResult.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const backupCodes = await generateBackupCodes(req.userId);
+
+    res.json({ backupCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off (password and a current code required)
+router.post('/2fa/disable', authMiddleware, [
+  body('password').notEmpty(),
+  body('code').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT id, password_hash, totp_secret, totp_enabled FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const user = userResult.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE users
+         SET totp_enabled = false, totp_secret = NULL, totp_last_used_step = NULL
+         WHERE id = $1`,
+        [req.userId]
+      );
+
+      await client.query('DELETE FROM backup_codes WHERE user_id = $1', [req.userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/auth/logout
 router.post('/logout', authMiddleware, async (req, res, next) => {
   try {
@@ -192,18 +577,59 @@ router.post('/logout', authMiddleware, async (req, res, next) => {
       [req.userId]
     );
 
-    // Clear cookie
-    res.clearCookie('token');
+    // Revoke this session so the token cannot be reused
+    await revokeSession(req.sessionId, req.userId);
+    req.app.get('io').disconnectSession(req.sessionId);
+
+    // Clear cookies
+    clearAuthCookies(res);
     res.json({ message: 'Logout successful' });
   } catch (error) {
     next(error);
   }
 });
 
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const refreshToken = req.cookies.refresh_token;
+
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Refresh token required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (result.status === 'reused') {
+      // Someone replayed an old refresh token: the session was revoked
+      req.app.get('io').disconnectSession(result.sessionId);
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Refresh token reuse detected, please log in again' });
+    }
+
+    if (result.status === 'invalid') {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    // Check if suspended or banned
+    const restriction = getAccountRestriction(result.user);
+    if (restriction) {
+      clearAuthCookies(res);
+      return res.status(403).json(restriction);
+    }
+
+    setAuthCookies(res, result);
+    res.json({ message: 'Token refreshed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/auth/forgot-password
 router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail()
-], async (req, res, next) => {
+], forgotPasswordIpLimit, forgotPasswordEmailLimit, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -213,7 +639,7 @@ router.post('/forgot-password', [
     const { email } = req.body;
 
     const result = await pool.query(
-      'SELECT id, username FROM users WHERE email = $1',
+      'SELECT id, username, locale FROM users WHERE email = $1',
       [email]
     );
 
@@ -232,7 +658,7 @@ router.post('/forgot-password', [
     );
 
     try {
-      await sendPasswordResetEmail(email, resetToken, user.username);
+      await sendPasswordResetEmail(email, resetToken, user.username, user.locale);
     } catch (emailError) {
       console.error('Failed to send reset email:', emailError);
     }
@@ -272,12 +698,36 @@ router.post('/reset-password', [
     }
 
     const userId = result.rows[0].id;
+
+    if (await isRecentPassword(userId, newPassword)) {
+      return res.status(400).json({ error: 'Password was used recently, please choose a different one' });
+    }
+
     const passwordHash = await bcrypt.hash(newPassword, 10);
+    const client = await pool.connect();
 
-    await pool.query(
-      'UPDATE users SET password_hash = $1, reset_token = NULL, reset_token_expires_at = NULL WHERE id = $2',
-      [passwordHash, userId]
-    );
+    try {
+      await client.query('BEGIN');
+
+      await replacePassword(client, userId, passwordHash);
+
+      await client.query(
+        'UPDATE users SET reset_token = NULL, reset_token_expires_at = NULL WHERE id = $1',
+        [userId]
+      );
+
+      // A password change logs out every device
+      await revokeAllSessions(userId, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    req.app.get('io').disconnectUser(userId);
 
     res.json({ message: 'Password reset successful' });
   } catch (error) {
@@ -289,7 +739,7 @@ router.post('/reset-password', [
 router.get('/me', authMiddleware, async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT u.id, u.email, u.username, u.first_name, u.last_name, u.is_verified, u.created_at,
+      `SELECT u.id, u.email, u.username, u.first_name, u.last_name, u.is_verified, u.pending_email, u.role, u.totp_enabled, u.created_at,
               p.gender, p.sexual_preference, p.biography, p.city, p.fame_rating
        FROM users u
        LEFT JOIN profiles p ON p.user_id = u.id
@@ -307,4 +757,227 @@ router.get('/me', authMiddleware, async (req, res, next) => {
   }
 });
 
+// PUT /api/auth/password - Change password while logged in
+router.put('/password', authMiddleware, [
+  body('currentPassword').notEmpty(),
+  body('newPassword').isLength({ min: 8 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT email, username, locale, password_hash FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const user = userResult.rows[0];
+
+    const validPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    // Validate password
+    const passwordCheck = validatePassword(newPassword);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: passwordCheck.error });
+    }
+
+    if (await isRecentPassword(req.userId, newPassword)) {
+      return res.status(400).json({ error: 'Password was used recently, please choose a different one' });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const client = await pool.connect();
+    let revokedSessionIds;
+
+    try {
+      await client.query('BEGIN');
+
+      await replacePassword(client, req.userId, passwordHash);
+
+      // Log out every other device; this one stays logged in
+      revokedSessionIds = await revokeOtherSessions(req.userId, req.sessionId, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const io = req.app.get('io');
+    revokedSessionIds.forEach(sessionId => io.disconnectSession(sessionId));
+
+    try {
+      await sendPasswordChangedEmail(user.email, user.username, user.locale);
+    } catch (emailError) {
+      console.error('Failed to send password changed email:', emailError);
+    }
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/auth/email - Request an email change (confirmed from the new address)
+router.put('/email', authMiddleware, emailChangeLimit, [
+  body('newEmail').isEmail().normalizeEmail(),
+  body('password').notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { newEmail, password } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT email, username, locale, password_hash FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const user = userResult.rows[0];
+
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+
+    const emailCheck = await pool.query(
+      'SELECT 1 FROM users WHERE email = $1',
+      [newEmail]
+    );
+
+    if (emailCheck.rows.length > 0) {
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+
+    // A new request replaces any pending one
+    const changeToken = generateToken();
+    const changeExpiresAt = new Date(Date.now() + EMAIL_CHANGE_TOKEN_TTL_MS);
+
+    await pool.query(
+      `UPDATE users
+       SET pending_email = $1, email_change_token = $2, email_change_expires_at = $3
+       WHERE id = $4`,
+      [newEmail, hashToken(changeToken), changeExpiresAt, req.userId]
+    );
+
+    try {
+      await sendEmailChangeConfirmation(newEmail, changeToken, user.username, user.locale);
+      await sendEmailChangeNotice(user.email, newEmail, user.username, user.locale);
+    } catch (emailError) {
+      console.error('Failed to send email change emails:', emailError);
+    }
+
+    res.json({ message: 'Please check your new email address to confirm the change' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/email/confirm/:token - Confirm an email change
+router.get('/email/confirm/:token', async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    // The unique constraint on email still applies if the address was taken meanwhile
+    let result;
+    try {
+      result = await pool.query(
+        `UPDATE users
+         SET email = pending_email, pending_email = NULL,
+             email_change_token = NULL, email_change_expires_at = NULL
+         WHERE email_change_token = $1 AND email_change_expires_at > NOW()
+         RETURNING id, email`,
+        [hashToken(token)]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Email already in use' });
+      }
+      throw error;
+    }
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+    }
+
+    res.json({ message: 'Email address updated successfully', email: result.rows[0].email });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/sessions - List active sessions (logged-in devices)
+router.get('/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions - Log out everywhere
+router.delete('/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.userId);
+    req.app.get('io').disconnectUser(req.userId);
+
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out of all sessions', revokedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke a single session
+router.delete('/sessions/:id', authMiddleware, [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const revoked = await revokeSession(id, req.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    req.app.get('io').disconnectSession(id);
+
+    if (id === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
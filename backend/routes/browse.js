@@ -1,13 +1,29 @@
 import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
 import pool from '../db/pool.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { getScoreWeights, formatScoredRow } from '../utils/matchingScore.js';
+import { paginateBrowse } from '../utils/browsePagination.js';
+import {
+  TAGS_MODES,
+  getOrderByClause,
+  normalizeSearchFilters,
+  buildSuggestionsQuery,
+  buildSearchQuery
+} from '../utils/browseQuery.js';
+import {
+  MAX_SAVED_SEARCHES,
+  findSavedSearchMatches,
+  recordSavedSearchMatches,
+  formatSavedSearch
+} from '../utils/savedSearches.js';
 
 const router = express.Router();
 
 // GET /api/browse/suggestions
 router.get('/suggestions', authMiddleware, async (req, res, next) => {
   try {
-    const { sortBy = 'score', page = 1, limit = 20 } = req.query;
+    const { sortBy = 'score', page = 1, limit = 20, explain, mode, pagination, cursor } = req.query;
     
     // Validate numeric inputs
     const pageNum = Math.max(1, parseInt(page, 10) || 1);
@@ -31,128 +47,39 @@ router.get('/suggestions', authMiddleware, async (req, res, next) => {
       return res.status(400).json({ error: 'Profile gender is required' });
     }
 
-    // Build the query with sexual compatibility filter using parameterized queries
-    let genderFilter = '';
-    if (currentUser.sexual_preference === 'male') {
-      genderFilter = "AND p.gender = 'male'";
-    } else if (currentUser.sexual_preference === 'female') {
-      genderFilter = "AND p.gender = 'female'";
-    } else {
-      genderFilter = "AND p.gender IN ('male', 'female', 'other')";
+    // Recommended mode blends in collaborative filtering; users without
+    // computed candidates yet (e.g. new users) get the regular score
+    let recommended = false;
+    if (mode === 'recommended') {
+      const candidatesCheck = await pool.query(
+        'SELECT 1 FROM recommendation_candidates WHERE user_id = $1 LIMIT 1',
+        [req.userId]
+      );
+      recommended = candidatesCheck.rows.length > 0;
     }
 
-    // Check if other users' preferences match current user's gender
-    // Using $4 parameter for gender to prevent SQL injection
-    const preferenceFilter = `
-      AND (
-        p.sexual_preference = 'both' 
-        OR p.sexual_preference = $4
-      )
-    `;
-
-    let orderByClause = '';
-    switch (sortBy) {
-      case 'age':
-        orderByClause = 'ORDER BY u.created_at DESC';
-        break;
-      case 'location':
-        orderByClause = 'ORDER BY distance ASC';
-        break;
-      case 'fame':
-        orderByClause = 'ORDER BY p.fame_rating DESC';
-        break;
-      case 'tags':
-        orderByClause = 'ORDER BY shared_tags DESC';
-        break;
-      default:
-        orderByClause = 'ORDER BY score DESC';
+    const weights = getScoreWeights({ recommended });
+
+    const result = await paginateBrowse({
+      userId: req.userId,
+      endpoint: 'suggestions',
+      buildQuery: ({ ids }) => buildSuggestionsQuery({
+        userId: req.userId,
+        currentUser,
+        weights,
+        ids
+      }),
+      orderBy: getOrderByClause(sortBy),
+      limit: limitNum,
+      offset,
+      cursor,
+      useCursor: pagination === 'cursor'
+    });
+
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid or expired cursor' });
     }
 
-    const query = `
-      WITH user_location AS (
-        SELECT latitude, longitude
-        FROM profiles
-        WHERE user_id = $1
-      ),
-      candidates AS (
-        SELECT 
-          u.id,
-          u.username,
-          u.first_name,
-          u.last_name,
-          u.last_online,
-          p.gender,
-          p.biography,
-          p.city,
-          p.fame_rating,
-          p.latitude,
-          p.longitude,
-          -- Calculate distance using Haversine formula
-          CASE 
-            WHEN p.latitude IS NOT NULL AND p.longitude IS NOT NULL 
-              AND ul.latitude IS NOT NULL AND ul.longitude IS NOT NULL
-            THEN (
-              6371 * acos(
-                cos(radians(ul.latitude)) * cos(radians(p.latitude)) *
-                cos(radians(p.longitude) - radians(ul.longitude)) +
-                sin(radians(ul.latitude)) * sin(radians(p.latitude))
-              )
-            )
-            ELSE NULL
-          END AS distance,
-          -- Count shared tags
-          (
-            SELECT COUNT(*)
-            FROM user_tags ut1
-            JOIN user_tags ut2 ON ut1.tag_id = ut2.tag_id
-            WHERE ut1.user_id = $1 AND ut2.user_id = u.id
-          ) AS shared_tags,
-          -- Get profile picture
-          (
-            SELECT url FROM images 
-            WHERE user_id = u.id AND is_profile_picture = true 
-            LIMIT 1
-          ) AS profile_picture,
-          -- Check if already liked
-          EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id) AS already_liked,
-          -- Check if they liked you
-          EXISTS(SELECT 1 FROM likes WHERE liker_id = u.id AND liked_id = $1) AS liked_you
-        FROM users u
-        JOIN profiles p ON p.user_id = u.id
-        CROSS JOIN user_location ul
-        WHERE u.id != $1
-          ${genderFilter}
-          ${preferenceFilter}
-          AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = u.id)
-          AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = u.id AND blocked_id = $1)
-          AND NOT EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id)
-      )
-      SELECT 
-        *,
-        -- Calculate matching score
-        (
-          CASE 
-            WHEN distance IS NOT NULL THEN
-              CASE 
-                WHEN distance = 0 THEN 40
-                WHEN distance < 10 THEN 35
-                WHEN distance < 50 THEN 30
-                WHEN distance < 100 THEN 20
-                WHEN distance < 500 THEN 10
-                ELSE 5
-              END
-            ELSE 20
-          END * 0.4 +
-          (shared_tags * 7) * 0.35 +
-          (CASE WHEN fame_rating > 0 THEN LEAST(fame_rating / 10.0, 100) ELSE 0 END) * 0.25
-        ) AS score
-      FROM candidates
-      ${orderByClause}
-      LIMIT $2 OFFSET $3
-    `;
-
-    const result = await pool.query(query, [req.userId, limitNum, offset, currentUser.gender]);
-
     // Get tags for each user
     const userIds = result.rows.map(row => row.id);
     let tagsMap = {};
@@ -175,48 +102,51 @@ router.get('/suggestions', authMiddleware, async (req, res, next) => {
     }
 
     const suggestions = result.rows.map(row => ({
-      ...row,
+      ...formatScoredRow(row, weights, explain === 'true'),
       tags: tagsMap[row.id] || [],
       distance: row.distance ? Math.round(row.distance * 10) / 10 : null
     }));
 
-    res.json({ suggestions });
+    res.json({
+      suggestions,
+      mode: recommended ? 'recommended' : 'score',
+      total: result.total,
+      nextCursor: result.nextCursor
+    });
   } catch (error) {
     next(error);
   }
 });
 
 // GET /api/browse/search
-router.get('/search', authMiddleware, async (req, res, next) => {
+router.get('/search', authMiddleware, [
+  query('ageMin').optional({ values: 'falsy' }).isInt(),
+  query('ageMax').optional({ values: 'falsy' }).isInt(),
+  query('fameMin').optional({ values: 'falsy' }).isInt(),
+  query('fameMax').optional({ values: 'falsy' }).isInt(),
+  query('maxDistance').optional({ values: 'falsy' }).isFloat()
+], async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const {
-      ageMin,
-      ageMax,
-      fameMin,
-      fameMax,
-      city,
-      maxDistance,
-      tags,
       sortBy = 'score',
       page = 1,
-      limit = 20
+      limit = 20,
+      explain,
+      pagination,
+      cursor
     } = req.query;
 
     // Validate numeric inputs
     const pageNum = Math.max(1, parseInt(page, 10) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
     const offset = (pageNum - 1) * limitNum;
-    
-    // Validate age parameters
-    const ageMinNum = ageMin ? Math.max(18, parseInt(ageMin, 10)) : null;
-    const ageMaxNum = ageMax ? Math.max(18, parseInt(ageMax, 10)) : null;
-    
-    // Validate fame parameters
-    const fameMinNum = fameMin ? parseInt(fameMin, 10) : null;
-    const fameMaxNum = fameMax ? parseInt(fameMax, 10) : null;
-    
-    // Validate distance parameter
-    const maxDistanceNum = maxDistance ? Math.max(0, parseFloat(maxDistance)) : null;
+
+    const filters = normalizeSearchFilters(req.query);
 
     // Get current user's profile
     const currentUserResult = await pool.query(
@@ -235,196 +165,28 @@ router.get('/search', authMiddleware, async (req, res, next) => {
       return res.status(400).json({ error: 'Profile gender is required' });
     }
 
-    // Build dynamic WHERE clauses
-    const conditions = [];
-    const params = [req.userId];
-    let paramCount = 1;
-
-    // Sexual compatibility
-    let genderFilter = '';
-    if (currentUser.sexual_preference === 'male') {
-      genderFilter = "AND p.gender = 'male'";
-    } else if (currentUser.sexual_preference === 'female') {
-      genderFilter = "AND p.gender = 'female'";
-    }
-
-    // Add gender parameter for preference filter to prevent SQL injection
-    params.push(currentUser.gender);
-    paramCount++;
-    const preferenceFilter = `
-      AND (
-        p.sexual_preference = 'both' 
-        OR p.sexual_preference = $${paramCount}
-      )
-    `;
-
-    // Age filter (using created_at as proxy)
-    if (ageMinNum) {
-      const maxDate = new Date();
-      maxDate.setFullYear(maxDate.getFullYear() - ageMinNum);
-      params.push(maxDate);
-      paramCount++;
-      conditions.push(`u.created_at <= $${paramCount}`);
-    }
-
-    if (ageMaxNum) {
-      const minDate = new Date();
-      minDate.setFullYear(minDate.getFullYear() - ageMaxNum);
-      params.push(minDate);
-      paramCount++;
-      conditions.push(`u.created_at >= $${paramCount}`);
-    }
-
-    // Fame rating filter
-    if (fameMinNum !== null) {
-      params.push(fameMinNum);
-      paramCount++;
-      conditions.push(`p.fame_rating >= $${paramCount}`);
-    }
-
-    if (fameMaxNum !== null) {
-      params.push(fameMaxNum);
-      paramCount++;
-      conditions.push(`p.fame_rating <= $${paramCount}`);
+    const weights = getScoreWeights();
+    const result = await paginateBrowse({
+      userId: req.userId,
+      endpoint: 'search',
+      buildQuery: ({ ids }) => buildSearchQuery({
+        userId: req.userId,
+        currentUser,
+        filters,
+        weights,
+        ids
+      }),
+      orderBy: getOrderByClause(sortBy),
+      limit: limitNum,
+      offset,
+      cursor,
+      useCursor: pagination === 'cursor'
+    });
+
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid or expired cursor' });
     }
 
-    // City filter
-    if (city) {
-      params.push(`%${city}%`);
-      paramCount++;
-      conditions.push(`p.city ILIKE $${paramCount}`);
-    }
-
-    // Distance filter
-    let distanceFilter = '';
-    if (maxDistanceNum && currentUser.latitude && currentUser.longitude) {
-      params.push(maxDistanceNum);
-      paramCount++;
-      distanceFilter = `AND distance <= $${paramCount}`;
-    }
-
-    // Tags filter
-    let tagsFilter = '';
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : [tags];
-      params.push(tagArray);
-      paramCount++;
-      tagsFilter = `
-        AND u.id IN (
-          SELECT ut.user_id
-          FROM user_tags ut
-          JOIN tags t ON t.id = ut.tag_id
-          WHERE t.name = ANY($${paramCount})
-          GROUP BY ut.user_id
-          HAVING COUNT(DISTINCT t.id) >= 1
-        )
-      `;
-    }
-
-    const whereClause = conditions.length > 0 ? 'AND ' + conditions.join(' AND ') : '';
-
-    let orderByClause = '';
-    switch (sortBy) {
-      case 'age':
-        orderByClause = 'ORDER BY u.created_at DESC';
-        break;
-      case 'location':
-        orderByClause = 'ORDER BY distance ASC';
-        break;
-      case 'fame':
-        orderByClause = 'ORDER BY p.fame_rating DESC';
-        break;
-      case 'tags':
-        orderByClause = 'ORDER BY shared_tags DESC';
-        break;
-      default:
-        orderByClause = 'ORDER BY score DESC';
-    }
-
-    params.push(limit);
-    params.push(offset);
-
-    const query = `
-      WITH user_location AS (
-        SELECT latitude, longitude
-        FROM profiles
-        WHERE user_id = $1
-      ),
-      candidates AS (
-        SELECT 
-          u.id,
-          u.username,
-          u.first_name,
-          u.last_name,
-          u.last_online,
-          p.gender,
-          p.biography,
-          p.city,
-          p.fame_rating,
-          p.latitude,
-          p.longitude,
-          CASE 
-            WHEN p.latitude IS NOT NULL AND p.longitude IS NOT NULL 
-              AND ul.latitude IS NOT NULL AND ul.longitude IS NOT NULL
-            THEN (
-              6371 * acos(
-                cos(radians(ul.latitude)) * cos(radians(p.latitude)) *
-                cos(radians(p.longitude) - radians(ul.longitude)) +
-                sin(radians(ul.latitude)) * sin(radians(p.latitude))
-              )
-            )
-            ELSE NULL
-          END AS distance,
-          (
-            SELECT COUNT(*)
-            FROM user_tags ut1
-            JOIN user_tags ut2 ON ut1.tag_id = ut2.tag_id
-            WHERE ut1.user_id = $1 AND ut2.user_id = u.id
-          ) AS shared_tags,
-          (
-            SELECT url FROM images 
-            WHERE user_id = u.id AND is_profile_picture = true 
-            LIMIT 1
-          ) AS profile_picture,
-          EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id) AS already_liked,
-          EXISTS(SELECT 1 FROM likes WHERE liker_id = u.id AND liked_id = $1) AS liked_you
-        FROM users u
-        JOIN profiles p ON p.user_id = u.id
-        CROSS JOIN user_location ul
-        WHERE u.id != $1
-          ${genderFilter}
-          ${preferenceFilter}
-          AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = u.id)
-          AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = u.id AND blocked_id = $1)
-          ${whereClause}
-          ${tagsFilter}
-      )
-      SELECT 
-        *,
-        (
-          CASE 
-            WHEN distance IS NOT NULL THEN
-              CASE 
-                WHEN distance = 0 THEN 40
-                WHEN distance < 10 THEN 35
-                WHEN distance < 50 THEN 30
-                WHEN distance < 100 THEN 20
-                WHEN distance < 500 THEN 10
-                ELSE 5
-              END
-            ELSE 20
-          END * 0.4 +
-          (shared_tags * 7) * 0.35 +
-          (CASE WHEN fame_rating > 0 THEN LEAST(fame_rating / 10.0, 100) ELSE 0 END) * 0.25
-        ) AS score
-      FROM candidates
-      WHERE 1=1 ${distanceFilter}
-      ${orderByClause}
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-    `;
-
-    const result = await pool.query(query, params);
-
     // Get tags for each user
     const userIds = result.rows.map(row => row.id);
     let tagsMap = {};
@@ -447,12 +209,135 @@ router.get('/search', authMiddleware, async (req, res, next) => {
     }
 
     const results = result.rows.map(row => ({
-      ...row,
+      ...formatScoredRow(row, weights, explain === 'true'),
       tags: tagsMap[row.id] || [],
       distance: row.distance ? Math.round(row.distance * 10) / 10 : null
     }));
 
-    res.json({ results });
+    res.json({ results, total: result.total, nextCursor: result.nextCursor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/browse/saved-searches
+router.get('/saved-searches', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, filters, notify_email, last_run_at, created_at
+       FROM saved_searches
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.userId]
+    );
+
+    res.json({ savedSearches: result.rows.map(formatSavedSearch) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/browse/saved-searches
+router.post('/saved-searches', authMiddleware, [
+  body('name').isString().trim().isLength({ min: 1, max: 50 }),
+  body('filters').optional().isObject(),
+  body('filters.ageMin').optional({ nullable: true }).isInt({ min: 18, max: 120 }),
+  body('filters.ageMax').optional({ nullable: true }).isInt({ min: 18, max: 120 }),
+  body('filters.fameMin').optional({ nullable: true }).isInt({ min: 0 }),
+  body('filters.fameMax').optional({ nullable: true }).isInt({ min: 0 }),
+  body('filters.city').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+  body('filters.maxDistance').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('filters.tags').optional({ nullable: true }).isArray({ max: 20 }),
+  body('filters.tags.*').isString().trim().notEmpty(),
+  body('filters.tagsMode').optional({ nullable: true }).isIn(TAGS_MODES),
+  body('filters.excludeTags').optional({ nullable: true }).isArray({ max: 20 }),
+  body('filters.excludeTags.*').isString().trim().notEmpty(),
+  body('notifyEmail').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, filters = {}, notifyEmail = false } = req.body;
+    const savedFilters = normalizeSearchFilters(filters);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the user row so concurrent requests cannot exceed the limit
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.userId]);
+
+      const countResult = await client.query(
+        'SELECT COUNT(*) FROM saved_searches WHERE user_id = $1',
+        [req.userId]
+      );
+
+      if (parseInt(countResult.rows[0].count, 10) >= MAX_SAVED_SEARCHES) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+      }
+
+      const result = await client.query(
+        `INSERT INTO saved_searches (user_id, name, filters, notify_email)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, name) DO NOTHING
+         RETURNING id, name, filters, notify_email, last_run_at, created_at`,
+        [req.userId, name, savedFilters, notifyEmail]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'A saved search with this name already exists' });
+      }
+
+      const savedSearch = result.rows[0];
+
+      // Current results count as seen: only profiles matching later trigger alerts
+      const matchIds = await findSavedSearchMatches(req.userId, savedFilters, client);
+      if (!matchIds) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Please complete your profile first' });
+      }
+      await recordSavedSearchMatches(savedSearch.id, matchIds, client);
+
+      await client.query('COMMIT');
+
+      res.status(201).json({ savedSearch: formatSavedSearch(savedSearch) });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/browse/saved-searches/:id
+router.delete('/saved-searches/:id', authMiddleware, [
+  param('id').isInt({ min: 1 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted' });
   } catch (error) {
     next(error);
   }
@@ -4,11 +4,21 @@ import authMiddleware from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// GET /api/chat/:userId/messages - Get message history with a user
+// GET /api/chat/:userId/messages - Get a page of message history with a user
 router.get('/:userId/messages', authMiddleware, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const otherUserId = parseInt(userId, 10);
+    const { before, after, limit = 50 } = req.query;
+
+    // Validate pagination inputs
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
+    const beforeId = before !== undefined ? parseInt(before, 10) : null;
+    const afterId = after !== undefined ? parseInt(after, 10) : null;
+
+    if (Number.isNaN(beforeId) || Number.isNaN(afterId)) {
+      return res.status(400).json({ error: 'Invalid message cursor' });
+    }
 
     // Check if users are matched
     const matchCheck = await pool.query(
@@ -34,6 +44,26 @@ router.get('/:userId/messages', authMiddleware, async (req, res, next) => {
       return res.status(403).json({ error: 'Cannot chat with this user' });
     }
 
+    // Keyset pagination on message id. Loading older history walks backwards
+    // from `before`; catching up from `after` walks forwards so no message is
+    // skipped. One extra row is fetched to know whether another page exists.
+    const params = [req.userId, otherUserId];
+    const cursorConditions = [];
+
+    if (beforeId !== null) {
+      params.push(beforeId);
+      cursorConditions.push(`id < $${params.length}`);
+    }
+
+    if (afterId !== null) {
+      params.push(afterId);
+      cursorConditions.push(`id > $${params.length}`);
+    }
+
+    const cursorClause = cursorConditions.length > 0 ? 'AND ' + cursorConditions.join(' AND ') : '';
+    const direction = afterId !== null && beforeId === null ? 'ASC' : 'DESC';
+    params.push(limitNum + 1);
+
     // Get messages
     const result = await pool.query(
       `SELECT 
@@ -44,13 +74,22 @@ router.get('/:userId/messages', authMiddleware, async (req, res, next) => {
         sent_at,
         is_read
       FROM messages
-      WHERE (sender_id = $1 AND receiver_id = $2) 
-         OR (sender_id = $2 AND receiver_id = $1)
-      ORDER BY sent_at ASC
-      LIMIT 100`,
-      [req.userId, otherUserId]
+      WHERE ((sender_id = $1 AND receiver_id = $2) 
+         OR (sender_id = $2 AND receiver_id = $1))
+        ${cursorClause}
+      ORDER BY id ${direction}
+      LIMIT $${params.length}`,
+      params
     );
 
+    const hasMore = result.rows.length > limitNum;
+    const messages = result.rows.slice(0, limitNum);
+
+    // Pages are always returned newest first
+    if (direction === 'ASC') {
+      messages.reverse();
+    }
+
     // Mark messages as read
     await pool.query(
       `UPDATE messages 
@@ -59,7 +98,7 @@ router.get('/:userId/messages', authMiddleware, async (req, res, next) => {
       [otherUserId, req.userId]
     );
 
-    res.json({ messages: result.rows });
+    res.json({ messages, hasMore });
   } catch (error) {
     next(error);
   }
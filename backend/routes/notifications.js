@@ -1,34 +1,109 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import pool from '../db/pool.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { verifySignedValue } from '../utils/tokens.js';
+import {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} from '../utils/notificationService.js';
 
 const router = express.Router();
 
+const DIGEST_FREQUENCIES = ['instant', 'daily', 'weekly', 'off'];
+
+// Actors listed per group in the grouped view; actor_count has the total
+const GROUP_ACTOR_LIMIT = 5;
+
+/**
+ * Notifications grouped by type and day (UTC), e.g. every visit of today
+ * in one group, with event and unread counts, the latest actors first and
+ * the ids of the grouped notifications (to mark them read).
+ */
+const getGroupedNotifications = async (userId, limit, offset) => {
+  const result = await pool.query(
+    `SELECT
+      n.type,
+      (n.last_event_at AT TIME ZONE 'UTC')::date AS day,
+      SUM(n.event_count)::int AS event_count,
+      (COUNT(*) FILTER (WHERE n.is_read = false))::int AS unread_count,
+      COUNT(DISTINCT n.from_user_id)::int AS actor_count,
+      MAX(n.last_event_at) AS latest_at,
+      array_agg(n.id ORDER BY n.last_event_at DESC) AS notification_ids,
+      COALESCE(json_agg(json_build_object(
+        'id', u.id,
+        'username', u.username,
+        'first_name', u.first_name,
+        'last_name', u.last_name,
+        'profile_picture', (SELECT url FROM images WHERE user_id = u.id AND is_profile_picture = true LIMIT 1),
+        'event_count', n.event_count
+      ) ORDER BY n.last_event_at DESC) FILTER (WHERE u.id IS NOT NULL), '[]') AS actors
+    FROM notifications n
+    LEFT JOIN users u ON u.id = n.from_user_id
+    WHERE n.user_id = $1
+      AND n.in_app = true
+      AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = u.id)
+    GROUP BY n.type, day
+    ORDER BY latest_at DESC
+    LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return result.rows.map(group => {
+    // One actor may have several notifications in a group; list them once
+    const actors = new Map();
+    group.actors.forEach(actor => {
+      const existing = actors.get(actor.id);
+      if (existing) {
+        existing.event_count += actor.event_count;
+      } else {
+        actors.set(actor.id, { ...actor });
+      }
+    });
+
+    return {
+      ...group,
+      actors: [...actors.values()].slice(0, GROUP_ACTOR_LIMIT)
+    };
+  });
+};
+
 // GET /api/notifications - Get all notifications for current user
 router.get('/', authMiddleware, async (req, res, next) => {
   try {
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, grouped } = req.query;
     
     // Validate numeric inputs
     const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
     const offsetNum = Math.max(0, parseInt(offset, 10) || 0);
 
+    if (grouped === 'true') {
+      const groups = await getGroupedNotifications(req.userId, limitNum, offsetNum);
+      return res.json({ groups });
+    }
+
     const result = await pool.query(
       `SELECT 
         n.id,
         n.type,
         n.is_read,
+        n.event_count,
         n.created_at,
+        n.last_event_at,
+        n.saved_search_id,
+        (SELECT name FROM saved_searches WHERE id = n.saved_search_id) AS saved_search_name,
         u.id AS from_user_id,
         u.username AS from_username,
         u.first_name AS from_first_name,
         u.last_name AS from_last_name,
         (SELECT url FROM images WHERE user_id = u.id AND is_profile_picture = true LIMIT 1) AS from_profile_picture
       FROM notifications n
-      JOIN users u ON u.id = n.from_user_id
+      LEFT JOIN users u ON u.id = n.from_user_id
       WHERE n.user_id = $1
+        AND n.in_app = true
         AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = u.id)
-      ORDER BY n.created_at DESC
+      ORDER BY n.last_event_at DESC
       LIMIT $2 OFFSET $3`,
       [req.userId, limitNum, offsetNum]
     );
@@ -47,6 +122,7 @@ router.get('/unread-count', authMiddleware, async (req, res, next) => {
        FROM notifications n
        WHERE n.user_id = $1 
          AND n.is_read = false
+         AND n.in_app = true
          AND NOT EXISTS(
            SELECT 1 FROM blocks 
            WHERE blocker_id = $1 AND blocked_id = n.from_user_id
@@ -60,6 +136,130 @@ router.get('/unread-count', authMiddleware, async (req, res, next) => {
   }
 });
 
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// GET /api/notifications/preferences - Get notification settings
+router.get('/preferences', authMiddleware, async (req, res, next) => {
+  try {
+    const preferences = await getNotificationPreferences(req.userId);
+
+    res.json({ preferences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/notifications/preferences - Update notification settings
+router.put('/preferences', authMiddleware, [
+  body('mutedTypes').optional().isArray({ max: NOTIFICATION_TYPES.length }),
+  body('mutedTypes.*').isIn(NOTIFICATION_TYPES),
+  body('channels').optional().isObject(),
+  body('channels.inApp').optional().isBoolean({ strict: true }),
+  body('channels.socket').optional().isBoolean({ strict: true }),
+  body('channels.email').optional().isBoolean({ strict: true }),
+  body('quietHours').optional({ values: 'null' }).isObject(),
+  body('quietHours.start').if(body('quietHours').isObject()).matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('quietHours.end').if(body('quietHours').isObject()).matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('quietHours.timezone').if(body('quietHours').isObject()).optional()
+    .custom(isValidTimeZone).withMessage('Invalid time zone')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mutedTypes, channels, quietHours } = req.body;
+
+    const preferences = await updateNotificationPreferences(req.userId, {
+      mutedTypes,
+      channels: channels && {
+        inApp: channels.inApp,
+        socket: channels.socket,
+        email: channels.email
+      },
+      quietHours: quietHours && {
+        start: quietHours.start,
+        end: quietHours.end,
+        timezone: quietHours.timezone || 'UTC'
+      }
+    });
+
+    res.json({ message: 'Notification preferences updated', preferences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/notifications/digest - Get digest email frequency
+router.get('/digest', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT digest_frequency, digest_last_sent_at FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const { digest_frequency: frequency, digest_last_sent_at: lastSentAt } = result.rows[0];
+
+    res.json({ frequency, lastSentAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/notifications/digest - Set digest email frequency
+router.put('/digest', authMiddleware, [
+  body('frequency').isIn(DIGEST_FREQUENCIES)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await pool.query(
+      'UPDATE users SET digest_frequency = $1 WHERE id = $2',
+      [req.body.frequency, req.userId]
+    );
+
+    res.json({ message: 'Digest preferences updated', frequency: req.body.frequency });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One-click unsubscribe from digest emails. GET serves the link in the
+// email body, POST the List-Unsubscribe-Post header (RFC 8058).
+const unsubscribeFromDigest = async (req, res, next) => {
+  try {
+    const value = verifySignedValue(req.params.token);
+    const match = value && /^digest-(\d+)$/.exec(value);
+
+    if (!match) {
+      return res.status(400).json({ error: 'Invalid unsubscribe link' });
+    }
+
+    await pool.query(
+      "UPDATE users SET digest_frequency = 'off' WHERE id = $1",
+      [parseInt(match[1], 10)]
+    );
+
+    res.json({ message: 'You have been unsubscribed from digest emails' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/digest/unsubscribe/:token', unsubscribeFromDigest);
+router.post('/digest/unsubscribe/:token', unsubscribeFromDigest);
+
 // PUT /api/notifications/:id/read - Mark notification as read
 router.put('/:id/read', authMiddleware, async (req, res, next) => {
   try {
@@ -83,6 +283,28 @@ router.put('/:id/read', authMiddleware, async (req, res, next) => {
   }
 });
 
+// PUT /api/notifications/mark-read - Mark several notifications (e.g. a group) as read
+router.put('/mark-read', authMiddleware, [
+  body('ids').isArray({ min: 1, max: 500 }),
+  body('ids.*').isInt({ min: 1 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'UPDATE notifications SET is_read = true WHERE id = ANY($1) AND user_id = $2 AND is_read = false',
+      [req.body.ids, req.userId]
+    );
+
+    res.json({ message: 'Notifications marked as read', updated: result.rowCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // PUT /api/notifications/mark-all-read - Mark all notifications as read
 router.put('/mark-all-read', authMiddleware, async (req, res, next) => {
   try {
@@ -5,9 +5,14 @@ import fs from 'fs';
 import { body, validationResult } from 'express-validator';
 import pool from '../db/pool.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { SUPPORTED_LOCALES } from '../utils/emailTemplates.js';
+import { ACTIVE_ACCOUNT_FILTER } from '../utils/accountStatus.js';
+import { MAX_TAG_LENGTH, canonicalizeTag, escapeLike, resolveTag } from '../utils/tags.js';
 
 const router = express.Router();
 
+const MINIMUM_AGE = 18;
+
 // Configure multer for image uploads
 const storage = multer.diskStorage({
   destination: function (_req, _file, cb) {
@@ -47,8 +52,10 @@ const upload = multer({
 router.get('/', authMiddleware, async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT u.id, u.email, u.username, u.first_name, u.last_name,
-              p.gender, p.sexual_preference, p.biography, p.latitude, p.longitude, 
+      `SELECT u.id, u.email, u.username, u.first_name, u.last_name, u.locale,
+              p.gender, p.sexual_preference, p.birth_date,
+              EXTRACT(YEAR FROM AGE(p.birth_date))::int AS age,
+              p.biography, p.latitude, p.longitude,
               p.city, p.location_consent, p.fame_rating
        FROM users u
        LEFT JOIN profiles p ON p.user_id = u.id
@@ -90,11 +97,20 @@ router.get('/', authMiddleware, async (req, res, next) => {
 router.put('/', authMiddleware, [
   body('gender').optional().isIn(['male', 'female', 'other']),
   body('sexualPreference').optional().isIn(['male', 'female', 'both']),
+  body('birthDate').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).custom((value) => {
+    const adultCutoff = new Date();
+    adultCutoff.setFullYear(adultCutoff.getFullYear() - MINIMUM_AGE);
+    if (new Date(value) > adultCutoff) {
+      throw new Error(`You must be at least ${MINIMUM_AGE} years old`);
+    }
+    return true;
+  }),
   body('biography').optional().isLength({ max: 500 }),
   body('city').optional().isLength({ max: 100 }),
   body('latitude').optional().isFloat({ min: -90, max: 90 }),
   body('longitude').optional().isFloat({ min: -180, max: 180 }),
-  body('locationConsent').optional().isBoolean()
+  body('locationConsent').optional().isBoolean(),
+  body('locale').optional().isIn(SUPPORTED_LOCALES)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -102,7 +118,7 @@ router.put('/', authMiddleware, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { gender, sexualPreference, biography, city, latitude, longitude, locationConsent } = req.body;
+    const { gender, sexualPreference, birthDate, biography, city, latitude, longitude, locationConsent, locale } = req.body;
 
     const result = await pool.query(
       `UPDATE profiles 
@@ -112,11 +128,19 @@ router.put('/', authMiddleware, [
            city = COALESCE($4, city),
            latitude = COALESCE($5, latitude),
            longitude = COALESCE($6, longitude),
-           location_consent = COALESCE($7, location_consent)
-       WHERE user_id = $8
-       RETURNING *`,
-      [gender, sexualPreference, biography, city, latitude, longitude, locationConsent, req.userId]
+           location_consent = COALESCE($7, location_consent),
+           birth_date = COALESCE($8, birth_date)
+       WHERE user_id = $9
+       RETURNING *, EXTRACT(YEAR FROM AGE(birth_date))::int AS age`,
+      [gender, sexualPreference, biography, city, latitude, longitude, locationConsent, birthDate, req.userId]
+    );
+
+    // Language of the emails we send; stored on the account
+    const localeResult = await pool.query(
+      'UPDATE users SET locale = COALESCE($1, locale) WHERE id = $2 RETURNING locale',
+      [locale, req.userId]
     );
+    result.rows[0].locale = localeResult.rows[0].locale;
 
     res.json({ 
       message: 'Profile updated successfully',
@@ -130,7 +154,7 @@ router.put('/', authMiddleware, [
 // POST /api/profile/tags
 router.post('/tags', authMiddleware, [
   body('tags').isArray({ min: 1, max: 10 }),
-  body('tags.*').isString().trim().isLength({ min: 1, max: 30 })
+  body('tags.*').isString().customSanitizer(canonicalizeTag).isLength({ min: 1, max: MAX_TAG_LENGTH })
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -144,27 +168,26 @@ router.post('/tags', authMiddleware, [
     try {
       await client.query('BEGIN');
 
-      // Delete existing tags for user
-      await client.query('DELETE FROM user_tags WHERE user_id = $1', [req.userId]);
-
-      // Insert or get tags
+      // Insert or get tags, following synonyms
+      const tagIds = [];
       for (const tagName of tags) {
-        const lowerTagName = tagName.toLowerCase();
-        
-        // Insert tag if it doesn't exist
-        const tagResult = await client.query(
-          'INSERT INTO tags (name) VALUES ($1) ON CONFLICT (name) DO UPDATE SET name = $1 RETURNING id',
-          [lowerTagName]
-        );
+        const tag = await resolveTag(client, tagName);
+        tagIds.push(tag.id);
+      }
 
-        const tagId = tagResult.rows[0].id;
+      // Remove tags the user dropped; kept tags keep the date they were added
+      await client.query(
+        'DELETE FROM user_tags WHERE user_id = $1 AND NOT (tag_id = ANY($2))',
+        [req.userId, tagIds]
+      );
 
-        // Associate tag with user
-        await client.query(
-          'INSERT INTO user_tags (user_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-          [req.userId, tagId]
-        );
-      }
+      // Associate tags with user
+      await client.query(
+        `INSERT INTO user_tags (user_id, tag_id)
+         SELECT $1::int, * FROM unnest($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [req.userId, tagIds]
+      );
 
       await client.query('COMMIT');
 
@@ -195,15 +218,24 @@ router.post('/tags', authMiddleware, [
 // GET /api/profile/tags/search
 router.get('/tags/search', authMiddleware, async (req, res, next) => {
   try {
-    const { query } = req.query;
+    const query = canonicalizeTag(req.query.query || '');
 
-    if (!query || query.length < 2) {
+    if (query.length < 2) {
       return res.json({ tags: [] });
     }
 
+    // Tags whose name or a synonym matches, prefix matches first, then by
+    // how many users have them
     const result = await pool.query(
-      'SELECT id, name FROM tags WHERE name ILIKE $1 LIMIT 10', // eslint-disable-line no-secrets/no-secrets
-      [`%${query}%`]
+      `SELECT t.id, t.name, COUNT(ut.user_id)::int AS user_count
+       FROM tags t
+       LEFT JOIN user_tags ut ON ut.tag_id = t.id
+       WHERE t.name LIKE $1
+          OR EXISTS(SELECT 1 FROM tag_aliases ta WHERE ta.tag_id = t.id AND ta.alias LIKE $1)
+       GROUP BY t.id
+       ORDER BY (t.name LIKE $2) DESC, user_count DESC, t.name ASC
+       LIMIT 10`,
+      [`%${escapeLike(query)}%`, `${escapeLike(query)}%`]
     );
 
     res.json({ tags: result.rows });
@@ -212,6 +244,35 @@ router.get('/tags/search', authMiddleware, async (req, res, next) => {
   }
 });
 
+// GET /api/profile/tags/trending
+router.get('/tags/trending', authMiddleware, async (req, res, next) => {
+  try {
+    const { days = 7, limit = 10 } = req.query;
+
+    // Validate numeric inputs
+    const daysNum = Math.min(90, Math.max(1, parseInt(days, 10) || 7));
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+
+    // Tags most often added to active profiles in the period
+    const result = await pool.query(
+      `SELECT t.id, t.name, COUNT(*)::int AS recent_count
+       FROM user_tags ut
+       JOIN tags t ON t.id = ut.tag_id
+       JOIN users u ON u.id = ut.user_id
+       WHERE ut.created_at > NOW() - make_interval(days => $1)
+         AND ${ACTIVE_ACCOUNT_FILTER}
+       GROUP BY t.id
+       ORDER BY recent_count DESC, t.name ASC
+       LIMIT $2`,
+      [daysNum, limitNum]
+    );
+
+    res.json({ tags: result.rows, days: daysNum });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/profile/images
 router.post('/images', authMiddleware, upload.single('image'), async (req, res, next) => {
   try {
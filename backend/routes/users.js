@@ -1,10 +1,101 @@
 import express from 'express';
+import bcrypt from 'bcrypt';
+import { body, validationResult } from 'express-validator';
 import pool from '../db/pool.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import { updateFameRating } from '../utils/fameRating.js';
+import { createNotifications, pushNotifications, notify } from '../utils/notificationService.js';
+import { REPORT_REASONS } from '../utils/moderation.js';
+import { buildUserExport } from '../utils/dataExport.js';
+import { verifySecondFactor } from '../utils/twoFactor.js';
+import { revokeAllSessions } from '../utils/sessionService.js';
+import { clearAuthCookies } from '../utils/authCookies.js';
 
 const router = express.Router();
 
+// Deleted accounts can be restored by logging in during this period
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
+// GET /api/users/me/export - Download all of the current user's data
+router.get('/me/export', authMiddleware, async (req, res, next) => {
+  try {
+    const data = await buildUserExport(req.userId);
+
+    res.attachment(`matcha-export-${req.userId}.json`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/users/me - Schedule account deletion
+router.delete('/me', authMiddleware, [
+  body('password').notEmpty(),
+  body('code').optional().isString()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT id, password_hash, totp_secret, totp_enabled FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const user = userResult.rows[0];
+
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (user.totp_enabled && !(await verifySecondFactor(user, code))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const client = await pool.connect();
+    let deletionScheduledAt;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE users
+         SET deletion_scheduled_at = NOW() + make_interval(days => $2)
+         WHERE id = $1
+         RETURNING deletion_scheduled_at`,
+        [req.userId, ACCOUNT_DELETION_GRACE_DAYS]
+      );
+
+      deletionScheduledAt = result.rows[0].deletion_scheduled_at;
+
+      // Log out everywhere; logging in again cancels the deletion
+      await revokeAllSessions(req.userId, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    req.app.get('io').disconnectUser(req.userId);
+    clearAuthCookies(res);
+
+    res.json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Log in before then to cancel.`,
+      deletionScheduledAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/users/:id - View user profile
 router.get('/:id', authMiddleware, async (req, res, next) => {
   try {
@@ -32,6 +123,7 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
         u.last_online,
         p.gender,
         p.sexual_preference,
+        EXTRACT(YEAR FROM AGE(p.birth_date))::int AS age,
         p.biography,
         p.city,
         p.fame_rating,
@@ -71,22 +163,29 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
       [id]
     );
 
-    // Record visit (only if viewing someone else)
+    // Record visit (only if viewing someone else), at most once per hour
+    // per visitor so reloading a profile does not flood the visit history
     if (parseInt(id, 10) !== req.userId) {
-      await pool.query(
-        'INSERT INTO visits (visitor_id, visited_id) VALUES ($1, $2)',
+      const visitResult = await pool.query(
+        `INSERT INTO visits (visitor_id, visited_id)
+         SELECT $1, $2
+         WHERE NOT EXISTS(
+           SELECT 1 FROM visits
+           WHERE visitor_id = $1 AND visited_id = $2
+             AND visited_at > NOW() - INTERVAL '1 hour'
+         )`,
         [req.userId, id]
       );
 
-      // Create visit notification
-      await pool.query(
-        `INSERT INTO notifications (user_id, type, from_user_id)
-         VALUES ($1, 'visit', $2)`,
-        [id, req.userId]
-      );
+      if (visitResult.rowCount > 0) {
+        // Update fame rating for visited user
+        await updateFameRating(id);
 
-      // Update fame rating for visited user
-      await updateFameRating(id);
+        // Create (or collapse into) the visit notification
+        await notify(req.app.get('io'), [
+          { userId: parseInt(id, 10), type: 'visit', fromUserId: req.userId }
+        ]);
+      }
     }
 
     user.images = imagesResult.rows;
@@ -149,27 +248,21 @@ router.post('/:id/like', authMiddleware, async (req, res, next) => {
 
       const isMatch = matchCheck.rows.length > 0;
 
-      if (isMatch) {
-        // Create match notifications for both users
-        await client.query(
-          `INSERT INTO notifications (user_id, type, from_user_id)
-           VALUES ($1, 'match', $2), ($2, 'match', $1)`,
-          [req.userId, likedId]
-        );
-      } else {
-        // Create like notification
-        await client.query(
-          `INSERT INTO notifications (user_id, type, from_user_id)
-           VALUES ($1, 'like', $2)`,
-          [likedId, req.userId]
-        );
-      }
+      // Match notifications for both users, or a like notification
+      const notificationIds = await createNotifications(client, isMatch
+        ? [
+          { userId: req.userId, type: 'match', fromUserId: likedId },
+          { userId: likedId, type: 'match', fromUserId: req.userId }
+        ]
+        : [{ userId: likedId, type: 'like', fromUserId: req.userId }]);
 
       await client.query('COMMIT');
 
       // Update fame rating
       await updateFameRating(likedId);
 
+      await pushNotifications(req.app.get('io'), notificationIds);
+
       res.json({
         message: isMatch ? 'It\'s a match!' : 'Like sent',
         isMatch
@@ -218,17 +311,17 @@ router.delete('/:id/like', authMiddleware, async (req, res, next) => {
       }
 
       // Create unlike notification
-      await client.query(
-        `INSERT INTO notifications (user_id, type, from_user_id)
-         VALUES ($1, 'unlike', $2)`,
-        [likedId, req.userId]
-      );
+      const notificationIds = await createNotifications(client, [
+        { userId: likedId, type: 'unlike', fromUserId: req.userId }
+      ]);
 
       await client.query('COMMIT');
 
       // Update fame rating
       await updateFameRating(likedId);
 
+      await pushNotifications(req.app.get('io'), notificationIds);
+
       res.json({ 
         message: 'Unlike successful',
         wasMatch 
@@ -288,20 +381,40 @@ router.post('/:id/block', authMiddleware, async (req, res, next) => {
 });
 
 // POST /api/users/:id/report - Report a user
-router.post('/:id/report', authMiddleware, async (req, res, next) => {
+router.post('/:id/report', authMiddleware, [
+  body('reason').optional().isIn(REPORT_REASONS),
+  body('details').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     const reportedId = parseInt(id, 10);
+    const { reason = 'other', details } = req.body;
 
     if (reportedId === req.userId) {
       return res.status(400).json({ error: 'Cannot report yourself' });
     }
 
-    await pool.query(
-      'INSERT INTO reports (reporter_id, reported_id) VALUES ($1, $2)',
+    // Only one pending report per reporter and reported user
+    const pendingCheck = await pool.query(
+      `SELECT 1 FROM reports
+       WHERE reporter_id = $1 AND reported_id = $2 AND status IN ('open', 'in_review')`,
       [req.userId, reportedId]
     );
 
+    if (pendingCheck.rows.length > 0) {
+      return res.status(409).json({ error: 'You already have a pending report for this user' });
+    }
+
+    await pool.query(
+      'INSERT INTO reports (reporter_id, reported_id, reason, details) VALUES ($1, $2, $3, $4)',
+      [req.userId, reportedId, reason, details || null]
+    );
+
     res.json({ message: 'Report submitted successfully' });
   } catch (error) {
     next(error);
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import pool from '../db/pool.js';
+import { canonicalizeStoredTags } from '../utils/tags.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,6 +24,20 @@ const initDatabase = async () => {
 
     console.log('✓ Database schema created successfully');
     console.log('✓ All tables and indexes created');
+
+    // Tags stored before names were canonicalized
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { renamed, merged } = await canonicalizeStoredTags(client);
+      await client.query('COMMIT');
+      console.log(`✓ Tag names canonicalized (${renamed} renamed, ${merged} merged)`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
     
     process.exit(0);
   } catch (error) {
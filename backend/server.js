@@ -12,15 +12,22 @@ import browseRoutes from './routes/browse.js';
 import userRoutes from './routes/users.js';
 import chatRoutes from './routes/chat.js';
 import notificationRoutes from './routes/notifications.js';
+import adminRoutes from './routes/admin.js';
 
 import errorHandler from './middleware/errorHandler.js';
 import socketHandler from './socket/socketHandler.js';
+import startJobs from './jobs/index.js';
 
 dotenv.config();
 
 pool.connect();
 
 const app = express();
+
+// Behind a reverse proxy, trust it so req.ip (used for rate limiting) is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 const server = http.createServer(app);
 
 const corsOptions = {
@@ -34,6 +41,9 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 5000;
 
+// Expose Socket.io to routes for real-time notifications
+app.set('io', io);
+
 // Middleware
 app.use(helmet());
 app.use(cors(corsOptions));
@@ -59,6 +69,7 @@ app.use('/api/browse', browseRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -66,6 +77,9 @@ app.use(errorHandler);
 // Initialize Socket.io
 socketHandler(io);
 
+// Start background jobs
+startJobs(io);
+
 // Start server
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
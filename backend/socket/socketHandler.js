@@ -1,25 +1,124 @@
 import jwt from 'jsonwebtoken';
 import pool from '../db/pool.js';
+import { notify } from '../utils/notificationService.js';
+import { checkAccountStatus } from '../utils/accountStatus.js';
+import { isSessionActive } from '../utils/sessionService.js';
+import { createRateLimiter } from '../utils/rateLimiter.js';
+
+// Per-user limit on chat messages, shared by all of a user's sessions
+const messageLimiter = createRateLimiter({ keyPrefix: 'send-message', windowMs: 10 * 1000, max: 10 });
+
+/**
+ * Read a cookie value from a raw Cookie header
+ */
+const getCookie = (cookieHeader, name) => {
+  const cookie = cookieHeader?.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : undefined;
+};
+
+// Store active user sockets (one user may have several tabs or devices open)
+const userSockets = new Map(); // userId -> Set of socketIds
+
+/**
+ * Register a socket for a user.
+ * Returns true when this is the user's first open session.
+ */
+const addUserSocket = (userId, socketId) => {
+  let sockets = userSockets.get(userId);
+  if (!sockets) {
+    sockets = new Set();
+    userSockets.set(userId, sockets);
+  }
+  sockets.add(socketId);
+  return sockets.size === 1;
+};
+
+/**
+ * Unregister a socket for a user.
+ * Returns true when the user has no open sessions left.
+ */
+const removeUserSocket = (userId, socketId) => {
+  const sockets = userSockets.get(userId);
+  if (!sockets) {
+    return false;
+  }
+  sockets.delete(socketId);
+  if (sockets.size === 0) {
+    userSockets.delete(userId);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Emit a presence event to every open session of the user's matches
+ */
+const notifyMatches = (io, userId, event) => pool.query(
+  `SELECT u.id FROM users u
+   WHERE EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id)
+     AND EXISTS(SELECT 1 FROM likes WHERE liker_id = u.id AND liked_id = $1)`,
+  [userId]
+).then(result => {
+  result.rows.forEach(row => {
+    if (userSockets.has(row.id)) {
+      io.to(`user_${row.id}`).emit(event, { userId });
+    }
+  });
+});
 
-// Store active user sockets
-const userSockets = new Map(); // userId -> socketId
 function socketHandler(io) {
   // Socket.io authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
+    let decoded;
+
     try {
-      const token = socket.handshake.auth.token || socket.handshake.headers.cookie?.split('token=')[1]?.split(';')[0];
+      const token = socket.handshake.auth.token || getCookie(socket.handshake.headers.cookie, 'token');
       
       if (!token) {
         return next(new Error('Authentication required'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
-      socket.user = decoded;
-      next();
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
-      next(new Error('Invalid token'));
+      if (error.name === 'TokenExpiredError') {
+        // Tell the client to call POST /api/auth/refresh and reconnect
+        const expiredError = new Error('Token expired');
+        expiredError.data = { code: 'TOKEN_EXPIRED' };
+        return next(expiredError);
+      }
+      return next(new Error('Invalid token'));
     }
+
+    try {
+      // Reject tokens whose session was logged out or revoked
+      if (!(await isSessionActive(decoded.jti, decoded.userId))) {
+        return next(new Error('Session expired or revoked'));
+      }
+
+      // Reject suspended, banned or deleted accounts
+      const { exists, restriction } = await checkAccountStatus(decoded.userId);
+
+      if (!exists) {
+        return next(new Error('Invalid token'));
+      }
+
+      if (restriction) {
+        const error = new Error(restriction.error);
+        error.data = restriction;
+        return next(error);
+      }
+    } catch (error) {
+      console.error('Error checking account status:', error);
+      return next(new Error('Authentication failed'));
+    }
+
+    socket.userId = decoded.userId;
+    socket.sessionId = decoded.jti;
+    socket.user = decoded;
+    next();
   });
 
   io.on('connection', (socket) => {
@@ -27,37 +126,39 @@ function socketHandler(io) {
     console.log(`User ${userId} connected with socket ${socket.id}`);
 
     // Store user's socket
-    userSockets.set(userId, socket.id);
+    const cameOnline = addUserSocket(userId, socket.id);
 
     // Update user's online status with proper error handling
     pool.query('UPDATE users SET last_online = NOW() WHERE id = $1', [userId])
       .catch(err => console.error('Error updating online status:', err));
 
-    // Emit to user's matches that they're online with proper error handling
-    pool.query(
-      `SELECT u.id FROM users u
-       WHERE EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id)
-         AND EXISTS(SELECT 1 FROM likes WHERE liker_id = u.id AND liked_id = $1)`,
-      [userId]
-    ).then(result => {
-      if (result && result.rows) {
-        result.rows.forEach(row => {
-          const matchSocketId = userSockets.get(row.id);
-          if (matchSocketId) {
-            io.to(matchSocketId).emit('user_online', { userId });
-          }
-        });
-      }
-    }).catch(err => console.error('Error notifying matches:', err));
+    // Emit to user's matches that they're online, only for the first session
+    if (cameOnline) {
+      notifyMatches(io, userId, 'user_online')
+        .catch(err => console.error('Error notifying matches:', err));
+    }
 
-    // Join user to their personal room
+    // Join user to their personal room (shared by all of their sessions)
     socket.join(`user_${userId}`);
 
+    // Join the login session's room so revoking it can close this socket
+    socket.join(`session_${socket.sessionId}`);
+
     // Handle chat messages
     socket.on('send_message', async (data) => {
       try {
         const { receiverId, content } = data;
 
+        // Throttle message spam
+        const { allowed, retryAfterMs } = await messageLimiter.consume(userId);
+        if (!allowed) {
+          socket.emit('error', {
+            message: 'You are sending messages too fast',
+            retryAfter: Math.ceil(retryAfterMs / 1000)
+          });
+          return;
+        }
+
         // Validate input
         if (!receiverId || !content || content.trim() === '') {
           socket.emit('error', { message: 'Invalid message data' });
@@ -106,31 +207,14 @@ function socketHandler(io) {
 
         const message = result.rows[0];
 
-        // Emit to sender (confirmation)
-        socket.emit('message_sent', message);
-
-        // Emit to receiver if they're online
-        const receiverSocketId = userSockets.get(receiverIdNum);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('new_message', message);
-        }
+        // Emit to every session of the sender (confirmation)
+        io.to(`user_${userId}`).emit('message_sent', message);
 
-        // Create message notification
-        await pool.query(
-          `INSERT INTO notifications (user_id, type, from_user_id)
-           VALUES ($1, 'message', $2)`,
-          [receiverIdNum, userId]
-        );
+        // Emit to every session of the receiver
+        io.to(`user_${receiverIdNum}`).emit('new_message', message);
 
-        // Emit notification to receiver
-        if (receiverSocketId) {
-          const notificationData = {
-            type: 'message',
-            from_user_id: userId,
-            created_at: new Date()
-          };
-          io.to(receiverSocketId).emit('new_notification', notificationData);
-        }
+        // Create message notification and emit it to the receiver
+        await notify(io, [{ userId: receiverIdNum, type: 'message', fromUserId: userId }]);
       } catch (error) {
         console.error('Error sending message:', error);
         socket.emit('error', { message: 'Failed to send message' });
@@ -146,11 +230,7 @@ function socketHandler(io) {
         const receiverIdNum = parseInt(receiverId, 10);
         if (isNaN(receiverIdNum)) return;
         
-        const receiverSocketId = userSockets.get(receiverIdNum);
-        
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_typing', { userId });
-        }
+        io.to(`user_${receiverIdNum}`).emit('user_typing', { userId });
       } catch (error) {
         console.error('Error handling typing start:', error);
       }
@@ -164,11 +244,7 @@ function socketHandler(io) {
         const receiverIdNum = parseInt(receiverId, 10);
         if (isNaN(receiverIdNum)) return;
         
-        const receiverSocketId = userSockets.get(receiverIdNum);
-        
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_stopped_typing', { userId });
-        }
+        io.to(`user_${receiverIdNum}`).emit('user_stopped_typing', { userId });
       } catch (error) {
         console.error('Error handling typing stop:', error);
       }
@@ -190,11 +266,11 @@ function socketHandler(io) {
           [senderIdNum, userId]
         );
 
-        // Notify sender that messages were read
-        const senderSocketId = userSockets.get(senderIdNum);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('messages_read', { readBy: userId });
-        }
+        // Notify every session of the sender that messages were read
+        io.to(`user_${senderIdNum}`).emit('messages_read', { readBy: userId });
+
+        // Keep the reader's other sessions in sync
+        socket.to(`user_${userId}`).emit('conversation_read', { otherUserId: senderIdNum });
       } catch (error) {
         console.error('Error marking messages as read:', error);
       }
@@ -202,40 +278,39 @@ function socketHandler(io) {
 
     // Handle disconnection
     socket.on('disconnect', () => {
-      console.log(`User ${userId} disconnected`);
+      console.log(`User ${userId} disconnected socket ${socket.id}`);
       
       // Remove from active users
-      userSockets.delete(userId);
+      const wentOffline = removeUserSocket(userId, socket.id);
 
       // Update last online timestamp
       pool.query('UPDATE users SET last_online = NOW() WHERE id = $1', [userId])
         .catch(err => console.error('Error updating last online:', err));
 
-      // Notify matches that user went offline
-      pool.query(
-        `SELECT u.id FROM users u
-         WHERE EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id)
-           AND EXISTS(SELECT 1 FROM likes WHERE liker_id = u.id AND liked_id = $1)`,
-        [userId]
-      ).then(result => {
-        if (result && result.rows) {
-          result.rows.forEach(row => {
-            const matchSocketId = userSockets.get(row.id);
-            if (matchSocketId) {
-              io.to(matchSocketId).emit('user_offline', { userId });
-            }
-          });
-        }
-      }).catch(err => console.error('Error notifying matches of offline:', err));
+      // Notify matches that user went offline, only once the last session closes
+      if (wentOffline) {
+        notifyMatches(io, userId, 'user_offline')
+          .catch(err => console.error('Error notifying matches of offline:', err));
+      }
     });
   });
 
   // Function to emit notification to a specific user
   io.emitNotification = (userId, notification) => {
-    const socketId = userSockets.get(userId);
-    if (socketId) {
-      io.to(socketId).emit('new_notification', notification);
-    }
+    io.to(`user_${userId}`).emit('new_notification', notification);
+  };
+
+  // Function to check whether a user has at least one open socket
+  io.isUserOnline = (userId) => userSockets.has(userId);
+
+  // Function to close every open session of a user (e.g. after a ban)
+  io.disconnectUser = (userId) => {
+    io.in(`user_${userId}`).disconnectSockets(true);
+  };
+
+  // Function to close the sockets opened with one login session
+  io.disconnectSession = (sessionId) => {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
   };
 
   return io;
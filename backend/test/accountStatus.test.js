@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAccountRestriction } from '../utils/accountStatus.js';
+
+describe('getAccountRestriction', () => {
+  it('lets active accounts through', () => {
+    assert.equal(getAccountRestriction({ status: 'active', suspended_until: null }), null);
+  });
+
+  it('blocks banned accounts', () => {
+    assert.deepEqual(getAccountRestriction({ status: 'banned', suspended_until: null }), {
+      error: 'This account has been banned',
+      suspendedUntil: null
+    });
+  });
+
+  it('blocks suspended accounts until the suspension ends', () => {
+    const until = new Date(Date.now() + 60 * 60 * 1000);
+
+    assert.deepEqual(getAccountRestriction({ status: 'suspended', suspended_until: until }), {
+      error: 'This account is suspended',
+      suspendedUntil: until
+    });
+  });
+
+  it('lets accounts through once the suspension has passed', () => {
+    const until = new Date(Date.now() - 1000);
+
+    assert.equal(getAccountRestriction({ status: 'suspended', suspended_until: until }), null);
+  });
+});
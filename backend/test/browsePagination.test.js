@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../db/pool.js';
+import { SNAPSHOT_MAX_RESULTS, paginateBrowse } from '../utils/browsePagination.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stand-in for the database: the browse query matches the profiles in
+// `matchingIds`, in that order, and snapshots are kept in memory
+const createDatabase = (matchingIds) => {
+  const database = { matchingIds, snapshots: new Map(), now: Date.now() };
+
+  mock.method(pool, 'query', async (sql, params = []) => {
+    if (sql.includes('INSERT INTO browse_snapshots')) {
+      const [id, userId, endpoint, candidateIds, totalCount, expiresAt] = params;
+      database.snapshots.set(id, { userId, endpoint, candidateIds, totalCount, expiresAt });
+      return { rows: [] };
+    }
+
+    if (sql.includes('FROM browse_snapshots')) {
+      const [id, userId, endpoint] = params;
+      const snapshot = database.snapshots.get(id);
+      const valid = snapshot && snapshot.userId === userId && snapshot.endpoint === endpoint
+        && snapshot.expiresAt.getTime() > database.now;
+      return {
+        rows: valid ? [{ candidate_ids: snapshot.candidateIds, total_count: snapshot.totalCount }] : []
+      };
+    }
+
+    if (sql.includes('browse_snapshots')) {
+      return { rows: [] };
+    }
+
+    // Rows of the given ids, in no particular order
+    if (Array.isArray(params[0])) {
+      const rows = database.matchingIds.filter(id => params[0].includes(id)).map(id => ({ id }));
+      return { rows: rows.reverse() };
+    }
+
+    // Ordered ids for a new snapshot, limited to its last param
+    const limit = params[params.length - 1];
+    const total = String(database.matchingIds.length);
+    return { rows: database.matchingIds.slice(0, limit).map(id => ({ id, total_count: total })) };
+  });
+
+  return database;
+};
+
+const buildQuery = ({ ids }) => ({
+  query: 'SELECT id FROM matching_profiles',
+  params: ids ? [ids] : []
+});
+
+const page = (options) => paginateBrowse({
+  userId: 1,
+  endpoint: 'search',
+  buildQuery,
+  orderBy: 'ORDER BY score DESC',
+  limit: 2,
+  offset: 0,
+  ...options
+});
+
+const ids = (result) => result.rows.map(row => row.id);
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// A cursor into the same snapshot as `cursor`, at another position
+const moveCursor = (cursor, position) => {
+  const { s } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  return encode({ s, p: position });
+};
+
+describe('paginateBrowse cursor mode', () => {
+  let database;
+
+  beforeEach(() => {
+    database = createDatabase([5, 3, 9, 1, 7]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('pages through the frozen result without repeating or skipping profiles', async () => {
+    const first = await page({ useCursor: true });
+    const second = await page({ cursor: first.nextCursor });
+    const third = await page({ cursor: second.nextCursor });
+
+    assert.deepEqual(ids(first), [5, 3]);
+    assert.deepEqual(ids(second), [9, 1]);
+    assert.deepEqual(ids(third), [7]);
+    assert.equal(third.nextCursor, null);
+    assert.deepEqual([first, second, third].map(result => result.total), [5, 5, 5]);
+  });
+
+  it('keeps the order of the snapshot when scores change', async () => {
+    const first = await page({ useCursor: true });
+    database.matchingIds = [1, 9, 7, 3, 5];
+
+    assert.deepEqual(ids(await page({ cursor: first.nextCursor })), [9, 1]);
+  });
+
+  it('leaves out profiles that stopped matching', async () => {
+    const first = await page({ useCursor: true });
+    database.matchingIds = [5, 3, 1, 7];
+
+    const second = await page({ cursor: first.nextCursor });
+    assert.deepEqual(ids(second), [1]);
+    assert.equal(second.total, 5);
+  });
+
+  it('expires snapshots after an hour', async () => {
+    const first = await page({ useCursor: true });
+
+    database.now += HOUR_MS - 1000;
+    assert.notEqual(await page({ cursor: first.nextCursor }), null);
+
+    database.now += 2000;
+    assert.equal(await page({ cursor: first.nextCursor }), null);
+  });
+
+  it('only accepts a cursor for the same user and endpoint', async () => {
+    const first = await page({ useCursor: true });
+
+    assert.equal(await page({ cursor: first.nextCursor, userId: 2 }), null);
+    assert.equal(await page({ cursor: first.nextCursor, endpoint: 'suggestions' }), null);
+  });
+
+  it('reports every matching profile in total, beyond the ids kept', async () => {
+    database.matchingIds = Array.from({ length: SNAPSHOT_MAX_RESULTS + 5 }, (_, index) => index + 1);
+
+    const first = await page({ useCursor: true });
+    assert.equal(first.total, SNAPSHOT_MAX_RESULTS + 5);
+
+    const last = await page({ cursor: moveCursor(first.nextCursor, SNAPSHOT_MAX_RESULTS - 2) });
+    assert.deepEqual(ids(last), [SNAPSHOT_MAX_RESULTS - 1, SNAPSHOT_MAX_RESULTS]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it('returns an empty first page when nothing matches', async () => {
+    database.matchingIds = [];
+
+    assert.deepEqual(await page({ useCursor: true }), { rows: [], total: 0, nextCursor: null });
+  });
+
+  it('returns null for a cursor it did not issue', async () => {
+    assert.equal(await page({ cursor: 'not-a-cursor' }), null);
+    assert.equal(await page({ cursor: encode({ s: 'not-a-uuid', p: 0 }) }), null);
+    assert.equal(await page({ cursor: encode({ s: '5f0c3c2e-8d1a-4b5e-9a37-2f6d1e4c8b90', p: -1 }) }), null);
+    assert.equal(await page({ cursor: encode({ s: '5f0c3c2e-8d1a-4b5e-9a37-2f6d1e4c8b90', p: 0 }) }), null);
+  });
+});
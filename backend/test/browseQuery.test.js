@@ -0,0 +1,218 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScoreWeights, tagWeightsCte } from '../utils/matchingScore.js';
+import { buildSuggestionsQuery, buildSearchQuery, normalizeSearchFilters } from '../utils/browseQuery.js';
+
+const currentUser = { gender: 'female', sexual_preference: 'both', latitude: 48.85, longitude: 2.35 };
+const weights = getScoreWeights();
+
+describe('normalizeSearchFilters', () => {
+  it('sets missing filters to null', () => {
+    assert.deepEqual(normalizeSearchFilters({}), {
+      ageMin: null,
+      ageMax: null,
+      fameMin: null,
+      fameMax: null,
+      city: null,
+      maxDistance: null,
+      tags: null,
+      tagsMode: 'any',
+      excludeTags: null
+    });
+  });
+
+  it('parses numbers and keeps ages adult', () => {
+    const filters = normalizeSearchFilters({ ageMin: '16', ageMax: '30', fameMin: '10', maxDistance: '-5.5' });
+
+    assert.equal(filters.ageMin, 18);
+    assert.equal(filters.ageMax, 30);
+    assert.equal(filters.fameMin, 10);
+    assert.equal(filters.maxDistance, 0);
+  });
+
+  it('drops numbers that do not parse', () => {
+    const filters = normalizeSearchFilters({ ageMin: 'abc', ageMax: 'x30', fameMin: 'NaN', fameMax: '', maxDistance: 'far' });
+
+    assert.equal(filters.ageMin, null);
+    assert.equal(filters.ageMax, null);
+    assert.equal(filters.fameMin, null);
+    assert.equal(filters.fameMax, null);
+    assert.equal(filters.maxDistance, null);
+  });
+
+  it('canonicalizes tags given as one value or a list', () => {
+    assert.deepEqual(normalizeSearchFilters({ tags: '#Randonnée' }).tags, ['randonnee']);
+    assert.deepEqual(normalizeSearchFilters({ tags: ['Music', '', '#'], tagsMode: 'all' }).tags, ['music']);
+    assert.equal(normalizeSearchFilters({ excludeTags: ['', '#'] }).excludeTags, null);
+    assert.equal(normalizeSearchFilters({ tagsMode: 'some' }).tagsMode, 'any');
+  });
+});
+
+describe('tagWeightsCte', () => {
+  it("weights the viewer's tags, normalized to sum to 1", () => {
+    const cte = tagWeightsCte();
+
+    assert.match(cte, /^tag_weights AS \(/);
+    assert.match(cte, /WHERE user_id = \$1/);
+    assert.match(cte, /idf \/ SUM\(idf\) OVER \(\)/);
+  });
+});
+
+describe('buildSuggestionsQuery', () => {
+  it('leaves out profiles the viewer already liked', () => {
+    const { query, params } = buildSuggestionsQuery({ userId: 1, currentUser, weights });
+
+    assert.deepEqual(params, [1, 'female']);
+    assert.match(query, /AND NOT EXISTS\(SELECT 1 FROM likes WHERE liker_id = \$1 AND liked_id = u\.id\)/);
+  });
+});
+
+describe('buildSearchQuery', () => {
+  it('shares the candidates of the suggestions, liked profiles included', () => {
+    const suggestions = buildSuggestionsQuery({ userId: 1, currentUser, weights });
+    const search = buildSearchQuery({ userId: 1, currentUser, filters: normalizeSearchFilters({}), weights });
+
+    assert.deepEqual(search.params, suggestions.params);
+    assert.doesNotMatch(search.query, /AND NOT EXISTS\(SELECT 1 FROM likes/);
+    assert.equal(
+      search.query.replace(/\s+/g, ' '),
+      suggestions.query
+        .replace('AND NOT EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id)', '')
+        .replace("AND p.gender IN ('male', 'female', 'other')", '')
+        .replace(/\s+/g, ' ')
+    );
+  });
+
+  it('keeps profiles without a gender for viewers interested in both, unlike suggestions', () => {
+    const search = buildSearchQuery({ userId: 1, currentUser, filters: normalizeSearchFilters({}), weights });
+    const suggestions = buildSuggestionsQuery({ userId: 1, currentUser, weights });
+
+    assert.doesNotMatch(search.query, /p\.gender IN/);
+    assert.match(suggestions.query, /AND p\.gender IN \('male', 'female', 'other'\)/);
+  });
+
+  it('only lists the gender a viewer is interested in', () => {
+    const viewer = { ...currentUser, sexual_preference: 'male' };
+    const search = buildSearchQuery({ userId: 1, currentUser: viewer, filters: normalizeSearchFilters({}), weights });
+
+    assert.match(search.query, /AND p\.gender = 'male'/);
+  });
+});
+
+describe('buildSearchQuery filters', () => {
+  // A piece of SQL found only in each filter's clause
+  const FILTER_CLAUSES = {
+    ageMin: 'p.birth_date <= CURRENT_DATE',
+    ageMax: 'p.birth_date > CURRENT_DATE',
+    fameMin: 'p.fame_rating >=',
+    fameMax: 'p.fame_rating <=',
+    city: 'p.city ILIKE',
+    boundingBox: 'p.latitude BETWEEN',
+    maxDistance: 'WHERE distance <=',
+    anyTags: 'HAVING COUNT(DISTINCT t.id) >= 1',
+    allTags: 'HAVING COUNT(DISTINCT t.id) >= (SELECT COUNT(*)',
+    excludeTags: 'WHERE ut.user_id = u.id AND t.name IN'
+  };
+
+  const search = (queryParams, viewer = currentUser) => {
+    const { query, params } = buildSearchQuery({
+      userId: 1,
+      currentUser: viewer,
+      filters: normalizeSearchFilters(queryParams),
+      weights
+    });
+    const clauses = Object.keys(FILTER_CLAUSES).filter(name => query.includes(FILTER_CLAUSES[name]));
+    return { params, clauses };
+  };
+
+  it('adds no filter without query params', () => {
+    assert.deepEqual(search({}), { params: [1, 'female'], clauses: [] });
+  });
+
+  it('filters on age, fame and city', () => {
+    assert.deepEqual(search({ ageMin: '20', ageMax: '30', fameMin: '1', fameMax: '500', city: 'Paris' }), {
+      params: [1, 'female', 20, 30, 1, 500, '%Paris%'],
+      clauses: ['ageMin', 'ageMax', 'fameMin', 'fameMax', 'city']
+    });
+  });
+
+  it('keeps a zero fame filter', () => {
+    assert.deepEqual(search({ fameMin: '0' }), { params: [1, 'female', 0], clauses: ['fameMin'] });
+  });
+
+  it('filters on distance with a bounding box, then the exact distance', () => {
+    const { params, clauses } = search({ maxDistance: '10' });
+
+    assert.deepEqual(clauses, ['boundingBox', 'maxDistance']);
+    assert.equal(params.length, 7);
+    assert.ok(params[2] < 48.85 && params[3] > 48.85);
+    assert.ok(params[4] < 2.35 && params[5] > 2.35);
+    assert.equal(params[6], 10);
+  });
+
+  it('skips the distance filter without a viewer location', () => {
+    const viewer = { ...currentUser, latitude: null, longitude: null };
+
+    assert.deepEqual(search({ maxDistance: '10' }, viewer), { params: [1, 'female'], clauses: [] });
+  });
+
+  it('requires any of the tags by default, or all of them', () => {
+    assert.deepEqual(search({ tags: ['Hiking', 'music'] }), {
+      params: [1, 'female', ['hiking', 'music']],
+      clauses: ['anyTags']
+    });
+    assert.deepEqual(search({ tags: ['hiking', 'music'], tagsMode: 'all' }), {
+      params: [1, 'female', ['hiking', 'music']],
+      clauses: ['allTags']
+    });
+  });
+
+  it('excludes tags, alone or with required tags', () => {
+    assert.deepEqual(search({ excludeTags: '#Smoking' }), {
+      params: [1, 'female', ['smoking']],
+      clauses: ['excludeTags']
+    });
+    assert.deepEqual(search({ tags: 'hiking', tagsMode: 'all', excludeTags: ['smoking'] }), {
+      params: [1, 'female', ['hiking'], ['smoking']],
+      clauses: ['allTags', 'excludeTags']
+    });
+  });
+
+  it('ignores filters that are not numbers', () => {
+    assert.deepEqual(search({ ageMin: 'abc', ageMax: 'NaN', fameMin: 'x', fameMax: '', maxDistance: 'far' }), {
+      params: [1, 'female'],
+      clauses: []
+    });
+  });
+
+  it('binds every filter in order when combined', () => {
+    const { params, clauses } = search({
+      ageMin: '20',
+      fameMax: '500',
+      city: 'Paris',
+      maxDistance: '10',
+      tags: ['hiking'],
+      excludeTags: ['smoking']
+    });
+
+    assert.deepEqual(clauses, ['ageMin', 'fameMax', 'city', 'boundingBox', 'maxDistance', 'anyTags', 'excludeTags']);
+    assert.deepEqual(params.slice(0, 5), [1, 'female', 20, 500, '%Paris%']);
+    assert.deepEqual(params.slice(9), [10, ['hiking'], ['smoking']]);
+  });
+});
+
+describe('ids option', () => {
+  it('scores only the given profiles', () => {
+    const filters = normalizeSearchFilters({ city: 'Paris' });
+    const { query, params } = buildSearchQuery({ userId: 1, currentUser, filters, weights, ids: [4, 5] });
+
+    assert.deepEqual(params, [1, 'female', '%Paris%', [4, 5]]);
+    assert.ok(query.includes('AND u.id = ANY($4)'));
+  });
+
+  it('leaves the query unrestricted without ids', () => {
+    const { query } = buildSuggestionsQuery({ userId: 1, currentUser, weights });
+
+    assert.ok(!query.includes('u.id = ANY'));
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { signValue, verifySignedValue } from '../utils/tokens.js';
+import { renderEmail } from '../utils/emailTemplates.js';
+
+describe('signed values', () => {
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('verifies values it signed', () => {
+    assert.equal(verifySignedValue(signValue('digest-42')), 'digest-42');
+  });
+
+  it('rejects tampered or unsigned values', () => {
+    const token = signValue('digest-42');
+
+    assert.equal(verifySignedValue(token.replace('42', '43')), null);
+    assert.equal(verifySignedValue('digest-42'), null);
+    assert.equal(verifySignedValue(`${token}x`), null);
+  });
+});
+
+describe('digest email', () => {
+  const data = {
+    username: 'alice',
+    notificationCounts: { like: 1, match: 2, visit: 0 },
+    unreadMessages: 3,
+    conversations: 1,
+    url: 'https://example.com',
+    unsubscribeUrl: 'https://example.com/unsubscribe'
+  };
+
+  it('lists messages first, then notification types with a count', () => {
+    const { text } = renderEmail('digest', 'en', data);
+    const lines = text.split('\n').filter(line => line.startsWith('- '));
+
+    assert.deepEqual(lines, [
+      '- 3 unread messages in 1 conversation',
+      '- 2 new matches',
+      '- 1 new like'
+    ]);
+  });
+
+  it('includes the unsubscribe link', () => {
+    const { html, text } = renderEmail('digest', 'fr', data);
+
+    assert.match(html, /href="https:\/\/example\.com\/unsubscribe"/);
+    assert.match(text, /Se désabonner : https:\/\/example\.com\/unsubscribe/);
+  });
+});
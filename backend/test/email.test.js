@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderEmail, escapeHtml } from '../utils/emailTemplates.js';
+import { getRetryDelayMs } from '../utils/emailService.js';
+
+describe('renderEmail', () => {
+  it('renders the subject, HTML and text in the requested locale', () => {
+    const email = renderEmail('verification', 'fr', { username: 'alice', url: 'https://example.com/verify/abc' });
+
+    assert.match(email.subject, /Matcha/);
+    assert.match(email.html, /Bienvenue sur Matcha, alice/);
+    assert.match(email.text, /https:\/\/example\.com\/verify\/abc/);
+  });
+
+  it('falls back to English for unknown locales', () => {
+    assert.deepEqual(
+      renderEmail('passwordChanged', 'de', { username: 'alice', url: 'u' }),
+      renderEmail('passwordChanged', 'en', { username: 'alice', url: 'u' })
+    );
+  });
+
+  it('escapes values in HTML only', () => {
+    const email = renderEmail('verification', 'en', { username: '<b>alice</b>', url: 'u' });
+
+    assert.doesNotMatch(email.html, /<b>alice<\/b>/);
+    assert.match(email.html, /&lt;b&gt;alice&lt;\/b&gt;/);
+    assert.match(email.text, /<b>alice<\/b>/);
+  });
+
+  it('throws for unknown templates', () => {
+    assert.throws(() => renderEmail('missing', 'en', {}), /Unknown email template/);
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes HTML special characters', () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
+
+describe('getRetryDelayMs', () => {
+  it('starts at one minute and doubles per attempt', () => {
+    assert.equal(getRetryDelayMs(1), 60 * 1000);
+    assert.equal(getRetryDelayMs(2), 2 * 60 * 1000);
+    assert.equal(getRetryDelayMs(4), 8 * 60 * 1000);
+  });
+
+  it('is capped at six hours', () => {
+    assert.equal(getRetryDelayMs(20), 6 * 60 * 60 * 1000);
+  });
+});
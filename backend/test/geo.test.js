@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EARTH_RADIUS_KM, getBoundingBox, boundingBoxSql } from '../utils/geo.js';
+
+// Kilometers per degree of latitude
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+};
+
+describe('getBoundingBox', () => {
+  it('spans the distance in latitude either side of the point', () => {
+    const box = getBoundingBox(0, 0, KM_PER_DEGREE);
+
+    assertClose(box.minLatitude, -1);
+    assertClose(box.maxLatitude, 1);
+    assertClose(box.minLongitude, -1);
+    assertClose(box.maxLongitude, 1);
+  });
+
+  it('widens the longitude range away from the equator', () => {
+    const box = getBoundingBox(60, 10, 100);
+
+    assert.ok(box.maxLongitude - 10 > 2 * (box.maxLatitude - 60));
+    assertClose(box.minLongitude + box.maxLongitude, 20);
+  });
+
+  it('spans all longitudes when the distance reaches a pole', () => {
+    const box = getBoundingBox(89.5, 40, 100);
+
+    assert.equal(box.maxLatitude, 90);
+    assert.equal(box.minLongitude, -180);
+    assert.equal(box.maxLongitude, 180);
+
+    assert.equal(getBoundingBox(-89.5, 40, 100).minLatitude, -90);
+  });
+
+  it('wraps around the antimeridian', () => {
+    const box = getBoundingBox(0, 179.5, KM_PER_DEGREE);
+
+    assertClose(box.minLongitude, 178.5);
+    assertClose(box.maxLongitude, -179.5);
+  });
+});
+
+describe('boundingBoxSql', () => {
+  it('numbers the box params from the first param', () => {
+    const box = getBoundingBox(48.85, 2.35, 50);
+    const { sql, params } = boundingBoxSql('p.latitude', 'p.longitude', box, 3);
+
+    assert.equal(sql, 'p.latitude BETWEEN $3 AND $4 AND p.longitude BETWEEN $5 AND $6');
+    assert.deepEqual(params, [box.minLatitude, box.maxLatitude, box.minLongitude, box.maxLongitude]);
+  });
+
+  it('matches either side of the antimeridian', () => {
+    const box = getBoundingBox(0, 179.5, KM_PER_DEGREE);
+    const { sql } = boundingBoxSql('lat', 'lon', box, 1);
+
+    assert.equal(sql, 'lat BETWEEN $1 AND $2 AND (lon >= $3 OR lon <= $4)');
+  });
+});
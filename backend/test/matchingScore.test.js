@@ -0,0 +1,78 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SCORE_WEIGHTS,
+  getScoreWeights,
+  buildScoreExpression,
+  formatScoredRow
+} from '../utils/matchingScore.js';
+
+describe('getScoreWeights', () => {
+  afterEach(() => {
+    delete process.env.MATCH_SCORE_WEIGHTS;
+  });
+
+  it('leaves the collaborative factor out unless recommended', () => {
+    assert.equal(getScoreWeights().collaborative, 0);
+    assert.deepEqual(getScoreWeights({ recommended: true }), DEFAULT_SCORE_WEIGHTS);
+  });
+
+  it('applies valid overrides from MATCH_SCORE_WEIGHTS', () => {
+    process.env.MATCH_SCORE_WEIGHTS = JSON.stringify({ activity: 0.1, unknown: 1, fame: -1 });
+    const weights = getScoreWeights();
+
+    assert.equal(weights.activity, 0.1);
+    assert.equal(weights.fame, DEFAULT_SCORE_WEIGHTS.fame);
+    assert.equal(weights.unknown, undefined);
+  });
+
+  it('falls back to the defaults on invalid JSON', () => {
+    process.env.MATCH_SCORE_WEIGHTS = '{activity';
+
+    assert.deepEqual(getScoreWeights({ recommended: true }), DEFAULT_SCORE_WEIGHTS);
+  });
+});
+
+describe('buildScoreExpression', () => {
+  it('weights every factor column', () => {
+    const expression = buildScoreExpression(getScoreWeights());
+
+    assert.match(expression, /factor_distance \* 0\.4/);
+    assert.match(expression, /factor_age_proximity \* 0/);
+    assert.match(expression, /factor_collaborative \* 0/);
+  });
+});
+
+describe('formatScoredRow', () => {
+  const row = {
+    id: 7,
+    distance: 12,
+    tag_similarity: '0.5',
+    fame_rating: 300,
+    last_online: null,
+    age: 30,
+    recommendation_score: null,
+    factor_distance: '30',
+    factor_tags: '20',
+    factor_fame: '30',
+    factor_activity: '0',
+    factor_age_proximity: '20',
+    factor_collaborative: '0'
+  };
+
+  it('removes the factor columns', () => {
+    const formatted = formatScoredRow(row, getScoreWeights());
+
+    assert.equal(formatted.id, 7);
+    assert.equal(formatted.factor_distance, undefined);
+    assert.equal(formatted.score_explanation, undefined);
+  });
+
+  it('explains each factor when asked to', () => {
+    const { score_explanation: explanation } = formatScoredRow(row, getScoreWeights(), true);
+
+    assert.deepEqual(explanation.distance, { value: 12, points: 30, weight: 0.4, contribution: 12 });
+    assert.deepEqual(explanation.tags, { value: 0.5, points: 20, weight: 0.35, contribution: 7 });
+    assert.equal(explanation.collaborative.value, null);
+  });
+});
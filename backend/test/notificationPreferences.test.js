@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toPreferences, isInQuietHours } from '../utils/notificationService.js';
+
+const withQuietHours = (start, end, timezone = 'UTC') => ({
+  ...toPreferences(null),
+  quietHours: { start, end, timezone }
+});
+
+describe('toPreferences', () => {
+  it('returns the defaults when the user never saved preferences', () => {
+    assert.deepEqual(toPreferences(null), {
+      mutedTypes: [],
+      channels: { inApp: true, socket: true, email: true },
+      quietHours: null
+    });
+  });
+
+  it('converts a preferences row', () => {
+    const preferences = toPreferences({
+      user_id: 1,
+      muted_types: ['visit'],
+      in_app_enabled: true,
+      socket_enabled: false,
+      email_enabled: true,
+      quiet_hours_start: '22:00:00',
+      quiet_hours_end: '07:00:00',
+      timezone: 'Europe/Paris'
+    });
+
+    assert.deepEqual(preferences, {
+      mutedTypes: ['visit'],
+      channels: { inApp: true, socket: false, email: true },
+      quietHours: { start: '22:00', end: '07:00', timezone: 'Europe/Paris' }
+    });
+  });
+});
+
+describe('isInQuietHours', () => {
+  it('is never true without quiet hours', () => {
+    assert.equal(isInQuietHours(toPreferences(null)), false);
+  });
+
+  it('handles ranges within a day', () => {
+    const preferences = withQuietHours('13:00', '14:00');
+
+    assert.equal(isInQuietHours(preferences, new Date('2024-01-01T13:30:00Z')), true);
+    assert.equal(isInQuietHours(preferences, new Date('2024-01-01T14:00:00Z')), false);
+  });
+
+  it('handles ranges wrapping past midnight', () => {
+    const preferences = withQuietHours('22:00', '07:00');
+
+    assert.equal(isInQuietHours(preferences, new Date('2024-01-01T23:00:00Z')), true);
+    assert.equal(isInQuietHours(preferences, new Date('2024-01-01T06:59:00Z')), true);
+    assert.equal(isInQuietHours(preferences, new Date('2024-01-01T12:00:00Z')), false);
+  });
+
+  it('uses the time zone of the quiet hours', () => {
+    const preferences = withQuietHours('22:00', '07:00', 'Asia/Tokyo');
+
+    // 14:00 UTC is 23:00 in Tokyo
+    assert.equal(isInQuietHours(preferences, new Date('2024-01-01T14:00:00Z')), true);
+    assert.equal(isInQuietHours(preferences, new Date('2024-01-01T23:00:00Z')), false);
+  });
+});
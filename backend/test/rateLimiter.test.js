@@ -0,0 +1,103 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryStore,
+  setRateLimitStore,
+  createRateLimiter
+} from '../utils/rateLimiter.js';
+import { getLockoutRemaining, recordLoginFailure, clearLoginFailures } from '../utils/loginLockout.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('memory store', () => {
+  it('counts hits within a window', async () => {
+    const store = createMemoryStore();
+
+    assert.equal((await store.increment('key', 1000)).count, 1);
+    assert.equal((await store.increment('key', 1000)).count, 2);
+    assert.equal((await store.get('key')).count, 2);
+    assert.equal(await store.get('other'), null);
+  });
+
+  it('starts a new window once the previous one expired', async () => {
+    const store = createMemoryStore();
+
+    await store.increment('key', 10);
+    await wait(20);
+
+    assert.equal(await store.get('key'), null);
+    assert.equal((await store.increment('key', 1000)).count, 1);
+  });
+
+  it('forgets a key on reset', async () => {
+    const store = createMemoryStore();
+
+    await store.increment('key', 1000);
+    await store.reset('key');
+
+    assert.equal(await store.get('key'), null);
+  });
+});
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  it('allows up to max hits, then reports when to retry', async () => {
+    const limiter = createRateLimiter({ keyPrefix: 'test', windowMs: 60 * 1000, max: 2 });
+
+    assert.deepEqual(await limiter.consume('ip'), { allowed: true, remaining: 1, retryAfterMs: 0 });
+    assert.deepEqual(await limiter.consume('ip'), { allowed: true, remaining: 0, retryAfterMs: 0 });
+
+    const blocked = await limiter.consume('ip');
+    assert.equal(blocked.allowed, false);
+    assert.ok(blocked.retryAfterMs > 0 && blocked.retryAfterMs <= 60 * 1000);
+  });
+
+  it('keeps keys and prefixes apart', async () => {
+    const first = createRateLimiter({ keyPrefix: 'first', windowMs: 60 * 1000, max: 1 });
+    const second = createRateLimiter({ keyPrefix: 'second', windowMs: 60 * 1000, max: 1 });
+
+    await first.consume('ip');
+
+    assert.equal((await first.consume('other-ip')).allowed, true);
+    assert.equal((await second.consume('ip')).allowed, true);
+  });
+});
+
+describe('login lockout', () => {
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  it('locks the account after 5 failures, doubling the lockout', async () => {
+    for (let i = 0; i < 4; i++) {
+      assert.equal(await recordLoginFailure('Alice', '10.0.0.1'), 0);
+    }
+
+    assert.equal(await recordLoginFailure('Alice', '10.0.0.1'), 60 * 1000);
+    assert.equal(await recordLoginFailure('alice', '10.0.0.1'), 2 * 60 * 1000);
+    assert.ok(await getLockoutRemaining('ALICE', '10.0.0.1') > 0);
+  });
+
+  it('only locks the account for the failing IP', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordLoginFailure('carol', '10.0.0.1');
+    }
+
+    assert.ok(await getLockoutRemaining('carol', '10.0.0.1') > 0);
+    assert.equal(await getLockoutRemaining('carol', '10.0.0.2'), 0);
+    assert.equal(await recordLoginFailure('carol', '10.0.0.2'), 0);
+  });
+
+  it('clears failures after a successful login', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordLoginFailure('bob', '10.0.0.1');
+    }
+    await clearLoginFailures('bob', '10.0.0.1');
+
+    assert.equal(await getLockoutRemaining('bob', '10.0.0.1'), 0);
+    assert.equal(await recordLoginFailure('bob', '10.0.0.1'), 0);
+  });
+});
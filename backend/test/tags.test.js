@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeTag, escapeLike, planTagCanonicalization } from '../utils/tags.js';
+
+describe('canonicalizeTag', () => {
+  it('strips a leading #', () => {
+    assert.equal(canonicalizeTag('#hiking'), 'hiking');
+    assert.equal(canonicalizeTag('## hiking'), 'hiking');
+    assert.equal(canonicalizeTag('  #hiking'), 'hiking');
+  });
+
+  it('keeps a # inside the name', () => {
+    assert.equal(canonicalizeTag('C#'), 'c#');
+    assert.equal(canonicalizeTag('#F#'), 'f#');
+  });
+
+  it('lowercases', () => {
+    assert.equal(canonicalizeTag('HiKiNg'), 'hiking');
+  });
+
+  it('trims and collapses whitespace', () => {
+    assert.equal(canonicalizeTag('  rock   n\troll '), 'rock n roll');
+  });
+
+  it('removes diacritics and folds compatibility characters', () => {
+    assert.equal(canonicalizeTag('Randonnée'), 'randonnee');
+    assert.equal(canonicalizeTag('ＣＡＦÉ'), 'cafe');
+  });
+
+  it('is idempotent', () => {
+    ['#Randonnée  ', '# #c#', ' Rock  N Roll'].forEach(name => {
+      const canonical = canonicalizeTag(name);
+      assert.equal(canonicalizeTag(canonical), canonical);
+    });
+  });
+
+  it('may return an empty name', () => {
+    assert.equal(canonicalizeTag('#'), '');
+    assert.equal(canonicalizeTag('   '), '');
+  });
+});
+
+describe('escapeLike', () => {
+  it('escapes LIKE wildcards and backslashes', () => {
+    assert.equal(escapeLike('100%_fun\\'), '100\\%\\_fun\\\\');
+    assert.equal(escapeLike('hiking'), 'hiking');
+  });
+});
+
+describe('planTagCanonicalization', () => {
+  it('leaves canonical tags alone', () => {
+    assert.deepEqual(
+      planTagCanonicalization([{ id: 1, name: 'hiking' }, { id: 2, name: 'c#' }]),
+      { renames: [], merges: [] }
+    );
+  });
+
+  it('renames tags whose canonical name is free', () => {
+    assert.deepEqual(
+      planTagCanonicalization([{ id: 1, name: '#Hiking' }, { id: 2, name: 'C#' }]),
+      { renames: [{ id: 1, name: 'hiking' }, { id: 2, name: 'c#' }], merges: [] }
+    );
+  });
+
+  it('merges tags into the tag that has their canonical name', () => {
+    assert.deepEqual(
+      planTagCanonicalization([{ id: 1, name: 'hiking' }, { id: 2, name: '#Hiking' }]),
+      { renames: [], merges: [{ id: 2, into: 1 }] }
+    );
+  });
+
+  it('merges later duplicates into the oldest renamed tag', () => {
+    assert.deepEqual(
+      planTagCanonicalization([{ id: 3, name: 'Café' }, { id: 4, name: 'cafe ' }, { id: 5, name: '#CAFE' }]),
+      { renames: [{ id: 3, name: 'cafe' }], merges: [{ id: 4, into: 3 }, { id: 5, into: 3 }] }
+    );
+  });
+
+  it('does not merge tags that differ by an inner #', () => {
+    assert.deepEqual(
+      planTagCanonicalization([{ id: 1, name: 'c' }, { id: 2, name: 'C#' }, { id: 3, name: 'F#' }]),
+      { renames: [{ id: 2, name: 'c#' }, { id: 3, name: 'f#' }], merges: [] }
+    );
+  });
+
+  it('keeps tags with no canonical name left', () => {
+    assert.deepEqual(planTagCanonicalization([{ id: 1, name: '#' }]), { renames: [], merges: [] });
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+describe('generateToken', () => {
+  it('generates distinct URL-safe tokens', () => {
+    const first = generateToken();
+
+    assert.match(first, /^[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(first, generateToken());
+  });
+});
+
+describe('hashToken', () => {
+  it('hashes tokens deterministically to hex', () => {
+    assert.equal(hashToken('token'), hashToken('token'));
+    assert.notEqual(hashToken('token'), hashToken('other'));
+    assert.match(hashToken('token'), /^[0-9a-f]{64}$/);
+  });
+});
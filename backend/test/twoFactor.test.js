@@ -0,0 +1,89 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  signLoginChallenge,
+  verifyLoginChallenge
+} from '../utils/twoFactor.js';
+
+// RFC 6238 test secret: the ASCII bytes of "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateTotp', () => {
+  it('matches the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+    assert.equal(generateTotp(RFC_SECRET, 1), '287082');
+    assert.equal(generateTotp(RFC_SECRET, 37037036), '081804');
+    assert.equal(generateTotp(RFC_SECRET, 41152263), '005924');
+  });
+});
+
+describe('verifyTotp', () => {
+  const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+  it('accepts the current code and returns its time step', () => {
+    const secret = generateTotpSecret();
+    const step = currentStep();
+
+    assert.equal(verifyTotp(secret, generateTotp(secret, step)), step);
+  });
+
+  it('accepts codes one period either side for clock drift', () => {
+    const secret = generateTotpSecret();
+    const step = currentStep();
+
+    assert.equal(verifyTotp(secret, generateTotp(secret, step - 1)), step - 1);
+    assert.equal(verifyTotp(secret, generateTotp(secret, step + 1)), step + 1);
+  });
+
+  it('rejects older codes and malformed input', () => {
+    const secret = generateTotpSecret();
+
+    assert.equal(verifyTotp(secret, generateTotp(secret, currentStep() - 3)), null);
+    assert.equal(verifyTotp(secret, '12345'), null);
+    assert.equal(verifyTotp(secret, 'abcdef'), null);
+  });
+});
+
+describe('generateTotpSecret', () => {
+  it('generates a 160-bit base32 secret', () => {
+    assert.match(generateTotpSecret(), /^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('includes the issuer, account and secret', () => {
+    const uri = new URL(buildOtpauthUri(RFC_SECRET, 'alice@example.com'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Matcha:alice@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('issuer'), 'Matcha');
+  });
+});
+
+describe('login challenge', () => {
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('round-trips the user id', () => {
+    assert.equal(verifyLoginChallenge(signLoginChallenge(42)), 42);
+  });
+
+  it('cannot be verified as an access token', () => {
+    assert.throws(() => jwt.verify(signLoginChallenge(42), process.env.JWT_SECRET));
+  });
+
+  it('rejects tokens signed with JWT_SECRET and tampered challenges', () => {
+    const accessToken = jwt.sign({ userId: 42 }, process.env.JWT_SECRET, { audience: 'login_2fa' });
+
+    assert.equal(verifyLoginChallenge(accessToken), null);
+    assert.equal(verifyLoginChallenge(`${signLoginChallenge(42)}x`), null);
+    assert.equal(verifyLoginChallenge('not-a-token'), null);
+  });
+});
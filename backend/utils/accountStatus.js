@@ -0,0 +1,46 @@
+import pool from '../db/pool.js';
+
+/**
+ * Work out whether an account may use the app.
+ * Suspensions lift themselves once suspended_until has passed.
+ * Returns null for usable accounts, otherwise { error, suspendedUntil }.
+ */
+const getAccountRestriction = (user) => {
+  if (user.status === 'banned') {
+    return { error: 'This account has been banned', suspendedUntil: null };
+  }
+
+  if (user.status === 'suspended' && (!user.suspended_until || new Date(user.suspended_until) > new Date())) {
+    return { error: 'This account is suspended', suspendedUntil: user.suspended_until };
+  }
+
+  return null;
+};
+
+/**
+ * Load a user's account status and check it.
+ * Returns { exists: false } when the user no longer exists.
+ */
+const checkAccountStatus = async (userId) => {
+  const result = await pool.query(
+    'SELECT status, suspended_until FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { exists: false, restriction: null };
+  }
+
+  return { exists: true, restriction: getAccountRestriction(result.rows[0]) };
+};
+
+// SQL predicate for browse queries: only accounts that are usable right now
+// and not waiting to be deleted
+const ACTIVE_ACCOUNT_FILTER = `((u.status = 'active' OR (u.status = 'suspended' AND u.suspended_until <= NOW()))
+  AND u.deletion_scheduled_at IS NULL)`;
+
+export {
+  getAccountRestriction,
+  checkAccountStatus,
+  ACTIVE_ACCOUNT_FILTER,
+};
@@ -0,0 +1,42 @@
+import { getRefreshTokenTtlMs } from './sessionService.js';
+
+const getCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
+
+// The refresh token is only ever needed by the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+/**
+ * Set the access token and refresh token cookies. Without a refresh token
+ * the refresh cookie is left as it is.
+ * The access cookie outlives the JWT inside it so an expired token still
+ * reaches the server and the client gets 'Token expired' (time to refresh)
+ * instead of 'Authentication required'.
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const cookieOptions = getCookieOptions();
+  const maxAge = getRefreshTokenTtlMs();
+
+  res.cookie('token', accessToken, { ...cookieOptions, maxAge });
+  if (refreshToken) {
+    res.cookie('refresh_token', refreshToken, { ...cookieOptions, path: REFRESH_COOKIE_PATH, maxAge });
+  }
+};
+
+/**
+ * Clear both auth cookies
+ */
+const clearAuthCookies = (res) => {
+  const cookieOptions = getCookieOptions();
+
+  res.clearCookie('token', cookieOptions);
+  res.clearCookie('refresh_token', { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+};
+
+export {
+  setAuthCookies,
+  clearAuthCookies,
+};
@@ -0,0 +1,142 @@
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../db/pool.js';
+
+const SNAPSHOT_TTL_MS = 60 * 60 * 1000; // 1 hour
+// Longest ordered result list kept per browsing session
+const SNAPSHOT_MAX_RESULTS = 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const encodeCursor = (snapshotId, position) =>
+  Buffer.from(JSON.stringify({ s: snapshotId, p: position })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, p } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof s === 'string' && UUID_PATTERN.test(s) && Number.isInteger(p) && p >= 0) {
+      return { snapshotId: s, position: p };
+    }
+  } catch {
+    // Fall through: not a cursor we issued
+  }
+  return null;
+};
+
+/**
+ * Load the rows with the given ids from a browse query, in that order.
+ * The ids are passed to `buildQuery` so only those profiles get scored.
+ */
+const loadRowsById = async (buildQuery, ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const { query, params } = buildQuery({ ids });
+  const result = await pool.query(query, params);
+
+  const position = new Map(ids.map((id, index) => [id, index]));
+  return result.rows.sort((a, b) => position.get(a.id) - position.get(b.id));
+};
+
+/**
+ * Page through a browse query. `buildQuery(options)` returns the full
+ * result query without ORDER BY or LIMIT and its params, restricted to
+ * `options.ids` when given; `orderBy` is its ORDER BY clause and id breaks
+ * ties.
+ *
+ * Offset mode (default) returns { rows, total }. Cursor mode (`useCursor`
+ * on the first page, then `cursor`) freezes the ordered ids of the whole
+ * result in a snapshot, so a candidate appears once per browsing session
+ * even if scores change; it returns { rows, total, nextCursor }. `total`
+ * is the number of matching profiles when the snapshot was taken, even
+ * past the SNAPSHOT_MAX_RESULTS ids kept. Returns null for an invalid or
+ * expired cursor.
+ */
+const paginateBrowse = async ({ userId, endpoint, buildQuery, orderBy, limit, offset, cursor, useCursor }) => {
+  const orderedBy = `${orderBy}, id ASC`;
+
+  if (!cursor && !useCursor) {
+    const { query, params } = buildQuery({});
+    const result = await pool.query(
+      `SELECT *, COUNT(*) OVER () AS total_count
+       FROM (${query}) results
+       ${orderedBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    let total;
+    if (result.rows.length > 0) {
+      total = parseInt(result.rows[0].total_count, 10);
+    } else {
+      // Past the last page: the window count is not available
+      const countResult = await pool.query(`SELECT COUNT(*) FROM (${query}) results`, params);
+      total = parseInt(countResult.rows[0].count, 10);
+    }
+
+    const rows = result.rows.map(({ total_count: _totalCount, ...row }) => row);
+    return { rows, total };
+  }
+
+  let snapshotId;
+  let ids;
+  let total;
+  let position = 0;
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return null;
+    }
+
+    const snapshotResult = await pool.query(
+      `SELECT candidate_ids, total_count FROM browse_snapshots
+       WHERE id = $1 AND user_id = $2 AND endpoint = $3 AND expires_at > NOW()`,
+      [decoded.snapshotId, userId, endpoint]
+    );
+
+    if (snapshotResult.rows.length === 0) {
+      return null;
+    }
+
+    snapshotId = decoded.snapshotId;
+    ids = snapshotResult.rows[0].candidate_ids;
+    total = snapshotResult.rows[0].total_count;
+    position = decoded.position;
+  } else {
+    const { query, params } = buildQuery({});
+    const idsResult = await pool.query(
+      `SELECT id, COUNT(*) OVER () AS total_count
+       FROM (${query}) results
+       ${orderedBy}
+       LIMIT $${params.length + 1}`,
+      [...params, SNAPSHOT_MAX_RESULTS]
+    );
+
+    snapshotId = uuidv4();
+    ids = idsResult.rows.map(row => row.id);
+    total = ids.length > 0 ? parseInt(idsResult.rows[0].total_count, 10) : 0;
+
+    await pool.query('DELETE FROM browse_snapshots WHERE expires_at <= NOW()');
+    await pool.query(
+      `INSERT INTO browse_snapshots (id, user_id, endpoint, candidate_ids, total_count, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [snapshotId, userId, endpoint, ids, total, new Date(Date.now() + SNAPSHOT_TTL_MS)]
+    );
+  }
+
+  // Profiles that stopped matching since (blocked, liked, deactivated) are dropped
+  const rows = await loadRowsById(buildQuery, ids.slice(position, position + limit));
+  const nextPosition = position + limit;
+
+  return {
+    rows,
+    total,
+    nextCursor: nextPosition < ids.length ? encodeCursor(snapshotId, nextPosition) : null
+  };
+};
+
+export {
+  SNAPSHOT_MAX_RESULTS,
+  paginateBrowse,
+};
@@ -0,0 +1,311 @@
+import { ACTIVE_ACCOUNT_FILTER } from './accountStatus.js';
+import {
+  tagWeightsCte,
+  tagSimilaritySql,
+  buildFactorColumns,
+  buildScoreExpression
+} from './matchingScore.js';
+import { distanceSql, getBoundingBox, boundingBoxSql } from './geo.js';
+import { canonicalizeTag, resolvedTagNamesSql } from './tags.js';
+
+/**
+ * ORDER BY clause for a browse `sortBy` value (score by default)
+ */
+const getOrderByClause = (sortBy) => {
+  switch (sortBy) {
+    case 'age':
+      return 'ORDER BY age ASC NULLS LAST';
+    case 'location':
+      return 'ORDER BY distance ASC';
+    case 'fame':
+      return 'ORDER BY fame_rating DESC';
+    case 'tags':
+      return 'ORDER BY tag_similarity DESC, shared_tags DESC';
+    default:
+      return 'ORDER BY score DESC';
+  }
+};
+
+const TAGS_MODES = ['any', 'all'];
+
+// A single tag or an array of tags, canonicalized; null if empty
+const toTagList = (tags) => {
+  const list = (Array.isArray(tags) ? tags : [tags])
+    .filter(tag => tag)
+    .map(canonicalizeTag)
+    .filter(tag => tag);
+  return list.length > 0 ? list : null;
+};
+
+// A number filter, or null if missing or not a number
+const toNumber = (value, parse) => {
+  const number = value ? parse(value) : NaN;
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse search filters from query parameters (or a saved search).
+ * Missing, empty or invalid filters are null.
+ */
+const normalizeSearchFilters = ({
+  ageMin,
+  ageMax,
+  fameMin,
+  fameMax,
+  city,
+  maxDistance,
+  tags,
+  tagsMode,
+  excludeTags
+}) => ({
+  // Validate age parameters
+  ageMin: toNumber(ageMin, value => Math.max(18, parseInt(value, 10))),
+  ageMax: toNumber(ageMax, value => Math.max(18, parseInt(value, 10))),
+  // Validate fame parameters
+  fameMin: toNumber(fameMin, value => parseInt(value, 10)),
+  fameMax: toNumber(fameMax, value => parseInt(value, 10)),
+  city: city || null,
+  // Validate distance parameter
+  maxDistance: toNumber(maxDistance, value => Math.max(0, parseFloat(value))),
+  tags: toTagList(tags),
+  // Profiles must have any (default) or all of the tags
+  tagsMode: tagsMode === 'all' ? 'all' : 'any',
+  excludeTags: toTagList(excludeTags)
+});
+
+/**
+ * Build a browse query over the profiles the viewer ($1 in `params`, of
+ * gender $2) is compatible with: the `candidates` CTE, then the matching
+ * score. Extra `conditions` filter candidates and `scoredConditions` the
+ * scored rows; `excludeLiked` leaves out profiles the viewer already liked
+ * and `requireGender` profiles without a gender. With `ids`, only those
+ * profiles are scored. Returns { query, params }.
+ */
+const buildBrowseQuery = ({
+  currentUser,
+  weights,
+  params,
+  conditions = [],
+  scoredConditions = [],
+  excludeLiked = false,
+  requireGender = false,
+  ids = null
+}) => {
+  // Sexual compatibility
+  let genderFilter = '';
+  if (currentUser.sexual_preference === 'male') {
+    genderFilter = "AND p.gender = 'male'";
+  } else if (currentUser.sexual_preference === 'female') {
+    genderFilter = "AND p.gender = 'female'";
+  } else if (requireGender) {
+    genderFilter = "AND p.gender IN ('male', 'female', 'other')";
+  }
+
+  const queryParams = [...params];
+  const candidateConditions = [...conditions];
+  if (ids) {
+    queryParams.push(ids);
+    candidateConditions.push(`u.id = ANY($${queryParams.length})`);
+  }
+
+  const whereClause = candidateConditions.map(condition => `AND ${condition}`).join('\n        ');
+  const likedFilter = excludeLiked
+    ? 'AND NOT EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id)'
+    : '';
+  const scoredWhereClause = scoredConditions.length > 0
+    ? 'WHERE ' + scoredConditions.join(' AND ')
+    : '';
+
+  const query = `
+    WITH user_location AS (
+      SELECT latitude, longitude, EXTRACT(YEAR FROM AGE(birth_date))::int AS age
+      FROM profiles
+      WHERE user_id = $1
+    ),
+    -- Viewer's tags weighted by rarity
+    ${tagWeightsCte()},
+    candidates AS (
+      SELECT 
+        u.id,
+        u.username,
+        u.first_name,
+        u.last_name,
+        u.last_online,
+        p.gender,
+        EXTRACT(YEAR FROM AGE(p.birth_date))::int AS age,
+        p.biography,
+        p.city,
+        p.fame_rating,
+        p.latitude,
+        p.longitude,
+        -- Calculate distance using Haversine formula
+        CASE 
+          WHEN p.latitude IS NOT NULL AND p.longitude IS NOT NULL 
+            AND ul.latitude IS NOT NULL AND ul.longitude IS NOT NULL
+          THEN ${distanceSql('ul.latitude', 'ul.longitude', 'p.latitude', 'p.longitude')}
+          ELSE NULL
+        END AS distance,
+        -- Count shared tags
+        (
+          SELECT COUNT(*)
+          FROM user_tags ut1
+          JOIN user_tags ut2 ON ut1.tag_id = ut2.tag_id
+          WHERE ut1.user_id = $1 AND ut2.user_id = u.id
+        ) AS shared_tags,
+        ${tagSimilaritySql('u.id')} AS tag_similarity,
+        -- Get profile picture
+        (
+          SELECT url FROM images 
+          WHERE user_id = u.id AND is_profile_picture = true 
+          LIMIT 1
+        ) AS profile_picture,
+        -- Check if already liked
+        EXISTS(SELECT 1 FROM likes WHERE liker_id = $1 AND liked_id = u.id) AS already_liked,
+        -- Check if they liked you
+        EXISTS(SELECT 1 FROM likes WHERE liker_id = u.id AND liked_id = $1) AS liked_you,
+        rc.score AS recommendation_score,
+        rc.reason AS recommendation_reason
+      FROM users u
+      JOIN profiles p ON p.user_id = u.id
+      CROSS JOIN user_location ul
+      LEFT JOIN recommendation_candidates rc ON rc.user_id = $1 AND rc.candidate_id = u.id
+      WHERE u.id != $1
+        AND ${ACTIVE_ACCOUNT_FILTER}
+        ${genderFilter}
+        -- Their preference must match the viewer's gender
+        AND (p.sexual_preference = 'both' OR p.sexual_preference = $2)
+        AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = u.id)
+        AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = u.id AND blocked_id = $1)
+        ${likedFilter}
+        ${whereClause}
+    ),
+    -- Points per matching score factor
+    scored AS (
+      SELECT
+        *,
+        ${buildFactorColumns()}
+      FROM candidates
+    )
+    SELECT *, (${buildScoreExpression(weights)}) AS score
+    FROM scored
+    ${scoredWhereClause}
+  `;
+
+  return { query, params: queryParams };
+};
+
+/**
+ * Build the suggestions query: every compatible profile not liked yet.
+ * Returns the query (without ORDER BY or LIMIT) and its params, as
+ * expected by paginateBrowse; `ids` restricts it to those profiles.
+ */
+const buildSuggestionsQuery = ({ userId, currentUser, weights, ids }) => buildBrowseQuery({
+  currentUser,
+  weights,
+  params: [userId, currentUser.gender],
+  excludeLiked: true,
+  requireGender: true,
+  ids
+});
+
+/**
+ * Build the search query for a user with normalized filters. Returns the
+ * query (without ORDER BY or LIMIT) and its params, as expected by
+ * paginateBrowse; `ids` restricts it to those profiles.
+ */
+const buildSearchQuery = ({ userId, currentUser, filters, weights, ids }) => {
+  // Build dynamic WHERE clauses
+  const conditions = [];
+  const scoredConditions = [];
+  const params = [userId, currentUser.gender];
+  let paramCount = params.length;
+
+  // Age filter (computed from birth date)
+  if (filters.ageMin) {
+    params.push(filters.ageMin);
+    paramCount++;
+    conditions.push(`p.birth_date <= CURRENT_DATE - make_interval(years => $${paramCount})`);
+  }
+
+  if (filters.ageMax) {
+    params.push(filters.ageMax);
+    paramCount++;
+    conditions.push(`p.birth_date > CURRENT_DATE - make_interval(years => $${paramCount} + 1)`);
+  }
+
+  // Fame rating filter
+  if (filters.fameMin !== null) {
+    params.push(filters.fameMin);
+    paramCount++;
+    conditions.push(`p.fame_rating >= $${paramCount}`);
+  }
+
+  if (filters.fameMax !== null) {
+    params.push(filters.fameMax);
+    paramCount++;
+    conditions.push(`p.fame_rating <= $${paramCount}`);
+  }
+
+  // City filter
+  if (filters.city) {
+    params.push(`%${filters.city}%`);
+    paramCount++;
+    conditions.push(`p.city ILIKE $${paramCount}`);
+  }
+
+  // Distance filter: a bounding box on the indexed coordinates narrows
+  // candidates to nearby profiles, then the exact distance is checked
+  if (filters.maxDistance && currentUser.latitude && currentUser.longitude) {
+    const box = getBoundingBox(currentUser.latitude, currentUser.longitude, filters.maxDistance);
+    const boxFilter = boundingBoxSql('p.latitude', 'p.longitude', box, paramCount + 1);
+    params.push(...boxFilter.params);
+    paramCount += boxFilter.params.length;
+    conditions.push(boxFilter.sql);
+
+    params.push(filters.maxDistance);
+    paramCount++;
+    scoredConditions.push(`distance <= $${paramCount}`);
+  }
+
+  // Tags filter: at least one of the tags, or all of them. Synonyms
+  // count as the tag they stand for.
+  if (filters.tags) {
+    params.push(filters.tags);
+    paramCount++;
+    const tagNames = resolvedTagNamesSql(`$${paramCount}`);
+    const requiredCount = filters.tagsMode === 'all'
+      ? `(SELECT COUNT(*) FROM (${tagNames}) requested_tags)`
+      : '1';
+
+    conditions.push(`u.id IN (
+          SELECT ut.user_id
+          FROM user_tags ut
+          JOIN tags t ON t.id = ut.tag_id
+          WHERE t.name IN (${tagNames})
+          GROUP BY ut.user_id
+          HAVING COUNT(DISTINCT t.id) >= ${requiredCount}
+        )`);
+  }
+
+  // Excluded tags filter
+  if (filters.excludeTags) {
+    params.push(filters.excludeTags);
+    paramCount++;
+    conditions.push(`NOT EXISTS(
+          SELECT 1
+          FROM user_tags ut
+          JOIN tags t ON t.id = ut.tag_id
+          WHERE ut.user_id = u.id AND t.name IN (${resolvedTagNamesSql(`$${paramCount}`)})
+        )`);
+  }
+
+  return buildBrowseQuery({ currentUser, weights, params, conditions, scoredConditions, ids });
+};
+
+export {
+  TAGS_MODES,
+  getOrderByClause,
+  normalizeSearchFilters,
+  buildSuggestionsQuery,
+  buildSearchQuery,
+};
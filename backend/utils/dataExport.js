@@ -0,0 +1,116 @@
+import pool from '../db/pool.js';
+import { getNotificationPreferences } from './notificationService.js';
+
+/**
+ * Collect everything stored about a user, for GDPR data export.
+ * Secrets (password and token hashes, 2FA secret) are left out.
+ */
+const buildUserExport = async (userId) => {
+  const query = async (text) => (await pool.query(text, [userId])).rows;
+
+  const [account] = await query(
+    `SELECT id, email, username, first_name, last_name, is_verified, role, status,
+            suspended_until, totp_enabled, locale, digest_frequency, created_at, last_online, deletion_scheduled_at
+     FROM users WHERE id = $1`
+  );
+
+  const [profile] = await query(
+    `SELECT gender, sexual_preference, birth_date, biography, latitude, longitude,
+            city, location_consent, fame_rating
+     FROM profiles WHERE user_id = $1`
+  );
+
+  const tags = await query(
+    `SELECT t.name FROM tags t
+     JOIN user_tags ut ON ut.tag_id = t.id
+     WHERE ut.user_id = $1
+     ORDER BY t.name`
+  );
+
+  const images = await query(
+    'SELECT id, url, is_profile_picture FROM images WHERE user_id = $1 ORDER BY id'
+  );
+
+  const likesGiven = await query(
+    `SELECT u.username, l.created_at FROM likes l
+     JOIN users u ON u.id = l.liked_id
+     WHERE l.liker_id = $1 ORDER BY l.created_at`
+  );
+
+  const likesReceived = await query(
+    `SELECT u.username, l.created_at FROM likes l
+     JOIN users u ON u.id = l.liker_id
+     WHERE l.liked_id = $1 ORDER BY l.created_at`
+  );
+
+  const visitsMade = await query(
+    `SELECT u.username, v.visited_at FROM visits v
+     JOIN users u ON u.id = v.visited_id
+     WHERE v.visitor_id = $1 ORDER BY v.visited_at`
+  );
+
+  const visitsReceived = await query(
+    `SELECT u.username, v.visited_at FROM visits v
+     JOIN users u ON u.id = v.visitor_id
+     WHERE v.visited_id = $1 ORDER BY v.visited_at`
+  );
+
+  const blocks = await query(
+    `SELECT u.username FROM blocks b
+     JOIN users u ON u.id = b.blocked_id
+     WHERE b.blocker_id = $1`
+  );
+
+  const reports = await query(
+    `SELECT u.username AS reported_username, r.reason, r.details, r.status, r.created_at
+     FROM reports r
+     LEFT JOIN users u ON u.id = r.reported_id
+     WHERE r.reporter_id = $1 ORDER BY r.created_at`
+  );
+
+  // Messages whose other party deleted their account have a NULL user id
+  const messages = await query(
+    `SELECT m.id,
+            CASE WHEN m.sender_id = $1 THEN 'sent' ELSE 'received' END AS direction,
+            COALESCE(u.username, '[deleted user]') AS other_username,
+            m.content, m.sent_at, m.is_read
+     FROM messages m
+     LEFT JOIN users u ON u.id = CASE WHEN m.sender_id = $1 THEN m.receiver_id ELSE m.sender_id END
+     WHERE m.sender_id = $1 OR m.receiver_id = $1
+     ORDER BY m.sent_at`
+  );
+
+  const notifications = await query(
+    `SELECT n.type, u.username AS from_username, n.event_count, n.is_read, n.created_at, n.last_event_at
+     FROM notifications n
+     LEFT JOIN users u ON u.id = n.from_user_id
+     WHERE n.user_id = $1 ORDER BY n.created_at`
+  );
+
+  const savedSearches = await query(
+    `SELECT name, filters, notify_email, last_run_at, created_at
+     FROM saved_searches WHERE user_id = $1 ORDER BY created_at`
+  );
+
+  const notificationPreferences = await getNotificationPreferences(userId);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account,
+    profile: profile || null,
+    tags: tags.map(tag => tag.name),
+    images,
+    likes: { given: likesGiven, received: likesReceived },
+    visits: { made: visitsMade, received: visitsReceived },
+    blocks: blocks.map(block => block.username),
+    reports,
+    messages,
+    notifications,
+    notificationPreferences,
+    savedSearches
+  };
+};
+
+export {
+  buildUserExport,
+};
@@ -1,86 +1,135 @@
-import nodemailer from 'nodemailer';
+import pool from '../db/pool.js';
+import { renderEmail } from './emailTemplates.js';
+import { getEmailTransport } from './emailTransport.js';
 
-// Create reusable transporter
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: false, // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD,
-  },
-});
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
 
 /**
- * Send verification email
+ * Add an email to the outbound queue. It is rendered and sent by the
+ * email queue job, so request handlers never wait on SMTP.
  */
-const sendVerificationEmail = async (email, token, username) => {
-  const verificationUrl = `${process.env.FRONTEND_URL}/verify/${token}`;
+const queueEmail = async ({ to, template, locale = 'en', data = {} }, db = pool) => {
+  const result = await db.query(
+    `INSERT INTO email_queue (to_address, template, locale, data, max_attempts)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [to, template, locale, JSON.stringify(data), MAX_ATTEMPTS]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Render and send one queued email
+ */
+const deliverEmail = async ({ to_address, template, locale, data }) => {
+  const { subject, html, text } = renderEmail(template, locale, data);
 
-  const mailOptions = {
+  // One-click unsubscribe (RFC 8058) for emails that offer it
+  const headers = data.unsubscribeUrl
+    ? {
+      'List-Unsubscribe': `<${data.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+    : {};
+
+  await getEmailTransport().sendMail({
     from: process.env.EMAIL_FROM,
+    to: to_address,
+    subject,
+    html,
+    text,
+    headers,
+  });
+};
+
+/**
+ * Delay before the next attempt: doubles per failure, capped
+ */
+const getRetryDelayMs = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+
+/**
+ * Queue verification email
+ */
+const sendVerificationEmail = async (email, token, username, locale) => {
+  await queueEmail({
     to: email,
-    subject: 'Verify your Matcha account',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Welcome to Matcha, ${username}!</h2>
-        <p>Please verify your email address by clicking the link below:</p>
-        <a href="${verificationUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">
-          Verify Email
-        </a>
-        <p>Or copy and paste this link into your browser:</p>
-        <p>${verificationUrl}</p>
-        <p>This link will expire in 24 hours.</p>
-        <p>If you didn't create an account, please ignore this email.</p>
-      </div>
-    `,
-  };
+    template: 'verification',
+    locale,
+    data: { username, url: `${process.env.FRONTEND_URL}/verify/${token}` }
+  });
+};
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('Verification email sent to:', email);
-  } catch (error) {
-    console.error('Error sending verification email:', error);
-    throw error;
-  }
+/**
+ * Queue password reset email
+ */
+const sendPasswordResetEmail = async (email, token, username, locale) => {
+  await queueEmail({
+    to: email,
+    template: 'passwordReset',
+    locale,
+    data: { username, url: `${process.env.FRONTEND_URL}/reset-password/${token}` }
+  });
 };
 
 /**
- * Send password reset email
+ * Queue the confirmation link for a new email address
  */
-const sendPasswordResetEmail = async (email, token, username) => {
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
+const sendEmailChangeConfirmation = async (newEmail, token, username, locale) => {
+  await queueEmail({
+    to: newEmail,
+    template: 'emailChangeConfirmation',
+    locale,
+    data: { username, url: `${process.env.FRONTEND_URL}/confirm-email/${token}` }
+  });
+};
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM,
+/**
+ * Warn the current address that an email change was requested
+ */
+const sendEmailChangeNotice = async (email, newEmail, username, locale) => {
+  await queueEmail({
+    to: email,
+    template: 'emailChangeNotice',
+    locale,
+    data: { username, newEmail }
+  });
+};
+
+/**
+ * Alert the user that their password was changed
+ */
+const sendPasswordChangedEmail = async (email, username, locale) => {
+  await queueEmail({
     to: email,
-    subject: 'Reset your Matcha password',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Password Reset Request</h2>
-        <p>Hi ${username},</p>
-        <p>We received a request to reset your password. Click the link below to create a new password:</p>
-        <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">
-          Reset Password
-        </a>
-        <p>Or copy and paste this link into your browser:</p>
-        <p>${resetUrl}</p>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you didn't request a password reset, please ignore this email.</p>
-      </div>
-    `,
-  };
+    template: 'passwordChanged',
+    locale,
+    data: { username, url: `${process.env.FRONTEND_URL}/forgot-password` }
+  });
+};
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('Password reset email sent to:', email);
-  } catch (error) {
-    console.error('Error sending reset email:', error);
-    throw error;
-  }
+/**
+ * Queue the alert for new profiles matching a saved search
+ */
+const sendSavedSearchMatchesEmail = async (email, username, searchName, count, locale) => {
+  await queueEmail({
+    to: email,
+    template: 'savedSearchMatches',
+    locale,
+    data: { username, searchName, count, url: `${process.env.FRONTEND_URL}/search` }
+  });
 };
 
 export {
+  queueEmail,
+  deliverEmail,
+  getRetryDelayMs,
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendPasswordChangedEmail,
+  sendSavedSearchMatchesEmail,
 };
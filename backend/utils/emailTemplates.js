@@ -0,0 +1,356 @@
+const SUPPORTED_LOCALES = ['en', 'fr'];
+const DEFAULT_LOCALE = 'en';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (content) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        ${content}
+      </div>
+    `;
+
+const button = (url, label) => `
+        <a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">
+          ${escapeHtml(label)}
+        </a>`;
+
+// Summary lines of the digest email, by notification type
+const digestLabels = {
+  en: {
+    like: (count) => `${count} new like${count === 1 ? '' : 's'}`,
+    match: (count) => `${count} new match${count === 1 ? '' : 'es'}`,
+    visit: (count) => `${count} profile visit${count === 1 ? '' : 's'}`,
+    unlike: (count) => `${count} unlike${count === 1 ? '' : 's'}`,
+    saved_search: (count) => `${count} new profile${count === 1 ? '' : 's'} matching your saved searches`,
+    message: (count, conversations) =>
+      `${count} unread message${count === 1 ? '' : 's'} in ${conversations} conversation${conversations === 1 ? '' : 's'}`
+  },
+  fr: {
+    like: (count) => `${count} nouveau${count === 1 ? '' : 'x'} like${count === 1 ? '' : 's'}`,
+    match: (count) => `${count} nouveau${count === 1 ? '' : 'x'} match${count === 1 ? '' : 's'}`,
+    visit: (count) => `${count} visite${count === 1 ? '' : 's'} de votre profil`,
+    unlike: (count) => `${count} unlike${count === 1 ? '' : 's'}`,
+    saved_search: (count) => `${count} nouveau${count === 1 ? '' : 'x'} profil${count === 1 ? '' : 's'} correspondant à vos recherches`,
+    message: (count, conversations) =>
+      `${count} message${count === 1 ? '' : 's'} non lu${count === 1 ? '' : 's'} dans ${conversations} conversation${conversations === 1 ? '' : 's'}`
+  }
+};
+
+const digestLines = (locale, { notificationCounts, unreadMessages, conversations }) => {
+  const labels = digestLabels[locale] || digestLabels.en;
+  const lines = [];
+
+  if (unreadMessages > 0) {
+    lines.push(labels.message(unreadMessages, conversations));
+  }
+  ['match', 'like', 'visit', 'unlike', 'saved_search'].forEach(type => {
+    if (notificationCounts[type] > 0) {
+      lines.push(labels[type](notificationCounts[type]));
+    }
+  });
+  return lines;
+};
+
+/**
+ * Templates by name, then locale. Each locale provides subject, html and
+ * text builders taking the template data; values are escaped in HTML.
+ */
+const templates = {
+  verification: {
+    en: {
+      subject: () => 'Verify your Matcha account',
+      html: ({ username, url }) => layout(`
+        <h2>Welcome to Matcha, ${escapeHtml(username)}!</h2>
+        <p>Please verify your email address by clicking the link below:</p>
+        ${button(url, 'Verify Email')}
+        <p>Or copy and paste this link into your browser:</p>
+        <p>${escapeHtml(url)}</p>
+        <p>This link will expire in 24 hours.</p>
+        <p>If you didn't create an account, please ignore this email.</p>`),
+      text: ({ username, url }) => `Welcome to Matcha, ${username}!
+
+Please verify your email address by opening this link:
+${url}
+
+This link will expire in 24 hours.
+If you didn't create an account, please ignore this email.`
+    },
+    fr: {
+      subject: () => 'Vérifiez votre compte Matcha',
+      html: ({ username, url }) => layout(`
+        <h2>Bienvenue sur Matcha, ${escapeHtml(username)} !</h2>
+        <p>Merci de vérifier votre adresse email en cliquant sur le lien ci-dessous :</p>
+        ${button(url, 'Vérifier mon email')}
+        <p>Ou copiez ce lien dans votre navigateur :</p>
+        <p>${escapeHtml(url)}</p>
+        <p>Ce lien expire dans 24 heures.</p>
+        <p>Si vous n'avez pas créé de compte, ignorez cet email.</p>`),
+      text: ({ username, url }) => `Bienvenue sur Matcha, ${username} !
+
+Merci de vérifier votre adresse email en ouvrant ce lien :
+${url}
+
+Ce lien expire dans 24 heures.
+Si vous n'avez pas créé de compte, ignorez cet email.`
+    }
+  },
+
+  passwordReset: {
+    en: {
+      subject: () => 'Reset your Matcha password',
+      html: ({ username, url }) => layout(`
+        <h2>Password Reset Request</h2>
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>We received a request to reset your password. Click the link below to create a new password:</p>
+        ${button(url, 'Reset Password')}
+        <p>Or copy and paste this link into your browser:</p>
+        <p>${escapeHtml(url)}</p>
+        <p>This link will expire in 1 hour.</p>
+        <p>If you didn't request a password reset, please ignore this email.</p>`),
+      text: ({ username, url }) => `Hi ${username},
+
+We received a request to reset your password. Open this link to create a new password:
+${url}
+
+This link will expire in 1 hour.
+If you didn't request a password reset, please ignore this email.`
+    },
+    fr: {
+      subject: () => 'Réinitialisez votre mot de passe Matcha',
+      html: ({ username, url }) => layout(`
+        <h2>Réinitialisation du mot de passe</h2>
+        <p>Bonjour ${escapeHtml(username)},</p>
+        <p>Nous avons reçu une demande de réinitialisation de votre mot de passe. Cliquez sur le lien ci-dessous pour en choisir un nouveau :</p>
+        ${button(url, 'Réinitialiser le mot de passe')}
+        <p>Ou copiez ce lien dans votre navigateur :</p>
+        <p>${escapeHtml(url)}</p>
+        <p>Ce lien expire dans 1 heure.</p>
+        <p>Si vous n'avez rien demandé, ignorez cet email.</p>`),
+      text: ({ username, url }) => `Bonjour ${username},
+
+Nous avons reçu une demande de réinitialisation de votre mot de passe. Ouvrez ce lien pour en choisir un nouveau :
+${url}
+
+Ce lien expire dans 1 heure.
+Si vous n'avez rien demandé, ignorez cet email.`
+    }
+  },
+
+  emailChangeConfirmation: {
+    en: {
+      subject: () => 'Confirm your new Matcha email address',
+      html: ({ username, url }) => layout(`
+        <h2>Confirm your new email address</h2>
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>Please confirm that you want to use this address for your Matcha account by clicking the link below:</p>
+        ${button(url, 'Confirm Email')}
+        <p>Or copy and paste this link into your browser:</p>
+        <p>${escapeHtml(url)}</p>
+        <p>This link will expire in 24 hours.</p>
+        <p>If you didn't request this change, please ignore this email.</p>`),
+      text: ({ username, url }) => `Hi ${username},
+
+Please confirm that you want to use this address for your Matcha account by opening this link:
+${url}
+
+This link will expire in 24 hours.
+If you didn't request this change, please ignore this email.`
+    },
+    fr: {
+      subject: () => 'Confirmez votre nouvelle adresse email Matcha',
+      html: ({ username, url }) => layout(`
+        <h2>Confirmez votre nouvelle adresse email</h2>
+        <p>Bonjour ${escapeHtml(username)},</p>
+        <p>Merci de confirmer que vous souhaitez utiliser cette adresse pour votre compte Matcha en cliquant sur le lien ci-dessous :</p>
+        ${button(url, 'Confirmer mon email')}
+        <p>Ou copiez ce lien dans votre navigateur :</p>
+        <p>${escapeHtml(url)}</p>
+        <p>Ce lien expire dans 24 heures.</p>
+        <p>Si vous n'avez rien demandé, ignorez cet email.</p>`),
+      text: ({ username, url }) => `Bonjour ${username},
+
+Merci de confirmer que vous souhaitez utiliser cette adresse pour votre compte Matcha en ouvrant ce lien :
+${url}
+
+Ce lien expire dans 24 heures.
+Si vous n'avez rien demandé, ignorez cet email.`
+    }
+  },
+
+  emailChangeNotice: {
+    en: {
+      subject: () => 'Your Matcha email address is being changed',
+      html: ({ username, newEmail }) => layout(`
+        <h2>Email Change Requested</h2>
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>We received a request to change the email address of your Matcha account to <strong>${escapeHtml(newEmail)}</strong>.</p>
+        <p>The change will only happen once the new address is confirmed.</p>
+        <p>If you didn't request this, please reset your password right away.</p>`),
+      text: ({ username, newEmail }) => `Hi ${username},
+
+We received a request to change the email address of your Matcha account to ${newEmail}.
+The change will only happen once the new address is confirmed.
+
+If you didn't request this, please reset your password right away.`
+    },
+    fr: {
+      subject: () => 'Changement de votre adresse email Matcha',
+      html: ({ username, newEmail }) => layout(`
+        <h2>Changement d'adresse email demandé</h2>
+        <p>Bonjour ${escapeHtml(username)},</p>
+        <p>Nous avons reçu une demande pour remplacer l'adresse email de votre compte Matcha par <strong>${escapeHtml(newEmail)}</strong>.</p>
+        <p>Le changement n'aura lieu qu'une fois la nouvelle adresse confirmée.</p>
+        <p>Si vous n'êtes pas à l'origine de cette demande, réinitialisez votre mot de passe immédiatement.</p>`),
+      text: ({ username, newEmail }) => `Bonjour ${username},
+
+Nous avons reçu une demande pour remplacer l'adresse email de votre compte Matcha par ${newEmail}.
+Le changement n'aura lieu qu'une fois la nouvelle adresse confirmée.
+
+Si vous n'êtes pas à l'origine de cette demande, réinitialisez votre mot de passe immédiatement.`
+    }
+  },
+
+  passwordChanged: {
+    en: {
+      subject: () => 'Your Matcha password was changed',
+      html: ({ username, url }) => layout(`
+        <h2>Password Changed</h2>
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>The password of your Matcha account was just changed and your other devices were logged out.</p>
+        <p>If this was you, no action is needed.</p>
+        <p>If you didn't change your password, reset it right away:</p>
+        ${button(url, 'Reset Password')}`),
+      text: ({ username, url }) => `Hi ${username},
+
+The password of your Matcha account was just changed and your other devices were logged out.
+If this was you, no action is needed.
+
+If you didn't change your password, reset it right away:
+${url}`
+    },
+    fr: {
+      subject: () => 'Votre mot de passe Matcha a été modifié',
+      html: ({ username, url }) => layout(`
+        <h2>Mot de passe modifié</h2>
+        <p>Bonjour ${escapeHtml(username)},</p>
+        <p>Le mot de passe de votre compte Matcha vient d'être modifié et vos autres appareils ont été déconnectés.</p>
+        <p>Si c'était vous, aucune action n'est nécessaire.</p>
+        <p>Sinon, réinitialisez-le immédiatement :</p>
+        ${button(url, 'Réinitialiser le mot de passe')}`),
+      text: ({ username, url }) => `Bonjour ${username},
+
+Le mot de passe de votre compte Matcha vient d'être modifié et vos autres appareils ont été déconnectés.
+Si c'était vous, aucune action n'est nécessaire.
+
+Sinon, réinitialisez-le immédiatement :
+${url}`
+    }
+  },
+
+  digest: {
+    en: {
+      subject: () => 'What you missed on Matcha',
+      html: (data) => layout(`
+        <h2>Hi ${escapeHtml(data.username)}, here is what you missed</h2>
+        <ul>
+          ${digestLines('en', data).map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+        </ul>
+        ${button(data.url, 'Open Matcha')}
+        <p style="font-size: 12px; color: #666;">
+          You receive this summary because of your notification email settings.
+          <a href="${escapeHtml(data.unsubscribeUrl)}">Unsubscribe</a>
+        </p>`),
+      text: (data) => `Hi ${data.username}, here is what you missed:
+
+${digestLines('en', data).map(line => `- ${line}`).join('\n')}
+
+Open Matcha: ${data.url}
+
+You receive this summary because of your notification email settings.
+Unsubscribe: ${data.unsubscribeUrl}`
+    },
+    fr: {
+      subject: () => 'Ce que vous avez manqué sur Matcha',
+      html: (data) => layout(`
+        <h2>Bonjour ${escapeHtml(data.username)}, voici ce que vous avez manqué</h2>
+        <ul>
+          ${digestLines('fr', data).map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+        </ul>
+        ${button(data.url, 'Ouvrir Matcha')}
+        <p style="font-size: 12px; color: #666;">
+          Vous recevez ce résumé selon vos préférences de notification par email.
+          <a href="${escapeHtml(data.unsubscribeUrl)}">Se désabonner</a>
+        </p>`),
+      text: (data) => `Bonjour ${data.username}, voici ce que vous avez manqué :
+
+${digestLines('fr', data).map(line => `- ${line}`).join('\n')}
+
+Ouvrir Matcha : ${data.url}
+
+Vous recevez ce résumé selon vos préférences de notification par email.
+Se désabonner : ${data.unsubscribeUrl}`
+    }
+  },
+
+  savedSearchMatches: {
+    en: {
+      subject: ({ searchName }) => `New profiles match "${searchName}"`,
+      html: ({ username, searchName, count, url }) => layout(`
+        <h2>New Matches for Your Search</h2>
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>${count} new profile${count === 1 ? '' : 's'} started matching your saved search "${escapeHtml(searchName)}".</p>
+        ${button(url, 'See Profiles')}`),
+      text: ({ username, searchName, count, url }) => `Hi ${username},
+
+${count} new profile${count === 1 ? '' : 's'} started matching your saved search "${searchName}".
+
+See them here:
+${url}`
+    },
+    fr: {
+      subject: ({ searchName }) => `Nouveaux profils pour « ${searchName} »`,
+      html: ({ username, searchName, count, url }) => layout(`
+        <h2>Nouveaux résultats pour votre recherche</h2>
+        <p>Bonjour ${escapeHtml(username)},</p>
+        <p>${count} nouveau${count === 1 ? '' : 'x'} profil${count === 1 ? '' : 's'} correspond${count === 1 ? '' : 'ent'} désormais à votre recherche « ${escapeHtml(searchName)} ».</p>
+        ${button(url, 'Voir les profils')}`),
+      text: ({ username, searchName, count, url }) => `Bonjour ${username},
+
+${count} nouveau${count === 1 ? '' : 'x'} profil${count === 1 ? '' : 's'} correspond${count === 1 ? '' : 'ent'} désormais à votre recherche « ${searchName} ».
+
+Voir les profils :
+${url}`
+    }
+  }
+};
+
+/**
+ * Render a template in the given locale (falling back to English).
+ * Returns { subject, html, text }.
+ */
+const renderEmail = (templateName, locale, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const localized = template[locale] || template[DEFAULT_LOCALE];
+
+  return {
+    subject: localized.subject(data),
+    html: localized.html(data),
+    text: localized.text(data)
+  };
+};
+
+export {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  escapeHtml,
+  renderEmail,
+};
@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+/**
+ * Transport that writes each message as a JSON file instead of sending it,
+ * so emails can be inspected in development and tests without SMTP.
+ */
+const createFileTransport = () => {
+  const jsonTransporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (mailOptions) => {
+      const info = await jsonTransporter.sendMail(mailOptions);
+      const outputDir = process.env.EMAIL_OUTPUT_DIR || 'emails';
+
+      await fs.mkdir(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.json`;
+      await fs.writeFile(path.join(outputDir, fileName), info.message);
+
+      return info;
+    }
+  };
+};
+
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.EMAIL_HOST,
+  port: process.env.EMAIL_PORT,
+  secure: false, // true for 465, false for other ports
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASSWORD,
+  },
+});
+
+/**
+ * Get the transport selected by EMAIL_TRANSPORT ('smtp' by default,
+ * 'file' or 'json' to write messages to EMAIL_OUTPUT_DIR).
+ */
+const getEmailTransport = () => {
+  if (!transport) {
+    const type = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+    transport = type === 'file' || type === 'json'
+      ? createFileTransport()
+      : createSmtpTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport, e.g. with a stub in tests
+ */
+const setEmailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+export {
+  getEmailTransport,
+  setEmailTransport,
+};
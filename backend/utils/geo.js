@@ -0,0 +1,85 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * SQL for the great-circle distance in km between two points (Haversine,
+ * spherical law of cosines form). The cosine is clamped to [-1, 1] so
+ * rounding on identical points cannot make acos fail.
+ */
+const distanceSql = (lat1, lon1, lat2, lon2) => `(
+              ${EARTH_RADIUS_KM} * acos(LEAST(1, GREATEST(-1,
+                cos(radians(${lat1})) * cos(radians(${lat2})) *
+                cos(radians(${lon2}) - radians(${lon1})) +
+                sin(radians(${lat1})) * sin(radians(${lat2}))
+              )))
+            )`;
+
+/**
+ * Smallest latitude/longitude box containing every point within
+ * `distanceKm` of a point, so a distance search can use the location
+ * index before computing exact distances. Near the poles the box spans
+ * all longitudes; across the antimeridian, minLongitude > maxLongitude.
+ */
+const getBoundingBox = (latitude, longitude, distanceKm) => {
+  const angularDistance = distanceKm / EARTH_RADIUS_KM;
+  const lat = toRadians(latitude);
+  const minLat = lat - angularDistance;
+  const maxLat = lat + angularDistance;
+
+  if (minLat <= -Math.PI / 2 || maxLat >= Math.PI / 2) {
+    return {
+      minLatitude: Math.max(toDegrees(minLat), -90),
+      maxLatitude: Math.min(toDegrees(maxLat), 90),
+      minLongitude: -180,
+      maxLongitude: 180
+    };
+  }
+
+  const deltaLon = toDegrees(Math.asin(Math.sin(angularDistance) / Math.cos(lat)));
+  let minLongitude = longitude - deltaLon;
+  let maxLongitude = longitude + deltaLon;
+
+  if (deltaLon >= 180) {
+    minLongitude = -180;
+    maxLongitude = 180;
+  } else {
+    if (minLongitude < -180) {
+      minLongitude += 360;
+    }
+    if (maxLongitude > 180) {
+      maxLongitude -= 360;
+    }
+  }
+
+  return {
+    minLatitude: toDegrees(minLat),
+    maxLatitude: toDegrees(maxLat),
+    minLongitude,
+    maxLongitude
+  };
+};
+
+/**
+ * SQL condition keeping rows inside a bounding box, with its params
+ * (the box bounds) numbered from `firstParam`
+ */
+const boundingBoxSql = (latColumn, lonColumn, box, firstParam) => {
+  const [minLat, maxLat, minLon, maxLon] = [0, 1, 2, 3].map(i => `$${firstParam + i}`);
+  const lonCondition = box.minLongitude <= box.maxLongitude
+    ? `${lonColumn} BETWEEN ${minLon} AND ${maxLon}`
+    : `(${lonColumn} >= ${minLon} OR ${lonColumn} <= ${maxLon})`;
+
+  return {
+    sql: `${latColumn} BETWEEN ${minLat} AND ${maxLat} AND ${lonCondition}`,
+    params: [box.minLatitude, box.maxLatitude, box.minLongitude, box.maxLongitude]
+  };
+};
+
+export {
+  EARTH_RADIUS_KM,
+  distanceSql,
+  getBoundingBox,
+  boundingBoxSql,
+};
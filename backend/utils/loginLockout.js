@@ -0,0 +1,62 @@
+import { getRateLimitStore } from './rateLimiter.js';
+
+// Failed logins are counted over this window
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Lock the account for the client after this many failures...
+const FAILURES_BEFORE_LOCKOUT = 5;
+
+// ...for this long, doubling with every further failure up to the maximum
+const BASE_LOCKOUT_MS = 60 * 1000; // 1 minute
+const MAX_LOCKOUT_MS = 60 * 60 * 1000; // 1 hour
+
+// Failures are counted per account and client IP, so nobody can lock
+// someone else out of their account just by knowing their username
+const failureKey = (account, ip) => `login-failures:${account.toLowerCase()}:${ip}`;
+const lockKey = (account, ip) => `login-lock:${account.toLowerCase()}:${ip}`;
+
+/**
+ * Returns the milliseconds left on an account's lockout for a client IP,
+ * or 0 if not locked
+ */
+const getLockoutRemaining = async (account, ip) => {
+  const lock = await getRateLimitStore().get(lockKey(account, ip));
+  return lock ? Math.max(0, lock.resetAt - Date.now()) : 0;
+};
+
+/**
+ * Record a failed login from a client IP and lock the account for that IP
+ * once too many have failed. Returns the lockout duration in milliseconds,
+ * or 0 if not locked.
+ */
+const recordLoginFailure = async (account, ip) => {
+  const store = getRateLimitStore();
+  const { count } = await store.increment(failureKey(account, ip), FAILURE_WINDOW_MS);
+
+  if (count < FAILURES_BEFORE_LOCKOUT) {
+    return 0;
+  }
+
+  const lockoutMs = Math.min(
+    BASE_LOCKOUT_MS * 2 ** (count - FAILURES_BEFORE_LOCKOUT),
+    MAX_LOCKOUT_MS
+  );
+
+  await store.increment(lockKey(account, ip), lockoutMs);
+  return lockoutMs;
+};
+
+/**
+ * Forget a client IP's failed logins after a successful one
+ */
+const clearLoginFailures = async (account, ip) => {
+  const store = getRateLimitStore();
+  await store.reset(failureKey(account, ip));
+  await store.reset(lockKey(account, ip));
+};
+
+export {
+  getLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,182 @@
+/**
+ * Matching score engine shared by the browse routes.
+ *
+ * Each factor turns a candidate column into points (roughly 0-40, 0-100 for
+ * fame); the score is the weighted sum of the points. Factor SQL runs over
+ * the `candidates` CTE of the browse queries, which exposes distance,
+ * shared_tags, tag_similarity, fame_rating, last_online, age and
+ * recommendation_score, plus a `user_location` CTE with the viewer's age.
+ */
+const SCORE_FACTORS = {
+  distance: {
+    sql: `CASE
+            WHEN distance IS NOT NULL THEN
+              CASE
+                WHEN distance = 0 THEN 40
+                WHEN distance < 10 THEN 35
+                WHEN distance < 50 THEN 30
+                WHEN distance < 100 THEN 20
+                WHEN distance < 500 THEN 10
+                ELSE 5
+              END
+            ELSE 20
+          END`,
+    value: (row) => row.distance
+  },
+  // Share of the viewer's tag weight the candidate has (0-1)
+  tags: {
+    sql: 'tag_similarity * 40',
+    value: (row) => Number(row.tag_similarity)
+  },
+  fame: {
+    sql: 'CASE WHEN fame_rating > 0 THEN LEAST(fame_rating / 10.0, 100) ELSE 0 END',
+    value: (row) => row.fame_rating
+  },
+  activity: {
+    sql: `CASE
+            WHEN last_online > NOW() - INTERVAL '1 day' THEN 40
+            WHEN last_online > NOW() - INTERVAL '7 days' THEN 30
+            WHEN last_online > NOW() - INTERVAL '30 days' THEN 15
+            ELSE 0
+          END`,
+    value: (row) => row.last_online
+  },
+  ageProximity: {
+    sql: `CASE
+            WHEN age IS NOT NULL AND (SELECT age FROM user_location) IS NOT NULL
+            THEN GREATEST(40 - 4 * ABS(age - (SELECT age FROM user_location)), 0)
+            ELSE 20
+          END`,
+    value: (row) => row.age
+  },
+  // Collaborative filtering (0-1 from the recommendations job)
+  collaborative: {
+    sql: 'COALESCE(recommendation_score, 0) * 40',
+    value: (row) => row.recommendation_score
+  }
+};
+
+// Distance, tags and fame keep the weights of the original formula, but
+// tags now score by rarity-weighted similarity rather than a shared tag
+// count, so scores differ from it. Activity and age are opt-in; the
+// collaborative weight only applies in recommended mode.
+const DEFAULT_SCORE_WEIGHTS = {
+  distance: 0.4,
+  tags: 0.35,
+  fame: 0.25,
+  activity: 0,
+  ageProximity: 0,
+  collaborative: 0.3
+};
+
+/**
+ * SQL for a `tag_weights` CTE: the viewer's ($1) tags, weighted by inverse
+ * document frequency over user_tags so rare tags count more than ones
+ * almost everybody has. Weights are normalized to sum to 1.
+ */
+const tagWeightsCte = () => `tag_weights AS (
+        SELECT tag_id, idf / SUM(idf) OVER () AS weight
+        FROM (
+          SELECT ut.tag_id,
+                 ln(1 + (SELECT COUNT(DISTINCT user_id) FROM user_tags)::float / COUNT(*)) AS idf
+          FROM user_tags ut
+          WHERE ut.tag_id IN (SELECT tag_id FROM user_tags WHERE user_id = $1)
+          GROUP BY ut.tag_id
+        ) tag_idf
+      )`;
+
+/**
+ * SQL for the tag similarity (0-1) of the candidate `userIdColumn` with the
+ * viewer: the sum of the weights of their shared tags
+ */
+const tagSimilaritySql = (userIdColumn) => `COALESCE((
+            SELECT SUM(tw.weight)
+            FROM user_tags ut
+            JOIN tag_weights tw ON tw.tag_id = ut.tag_id
+            WHERE ut.user_id = ${userIdColumn}
+          ), 0)`;
+
+const factorColumn = (name) => `factor_${name.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)}`;
+
+/**
+ * Weights from MATCH_SCORE_WEIGHTS (JSON, e.g. {"activity":0.1}) on top of
+ * the defaults. Unknown factors and invalid weights are ignored. Outside
+ * recommended mode the collaborative factor is left out.
+ */
+const getScoreWeights = ({ recommended = false } = {}) => {
+  const weights = { ...DEFAULT_SCORE_WEIGHTS };
+  const finalize = () => (recommended ? weights : { ...weights, collaborative: 0 });
+
+  if (!process.env.MATCH_SCORE_WEIGHTS) {
+    return finalize();
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.MATCH_SCORE_WEIGHTS);
+    Object.entries(overrides).forEach(([name, weight]) => {
+      if (SCORE_FACTORS[name] && Number.isFinite(weight) && weight >= 0) {
+        weights[name] = weight;
+      } else {
+        console.warn(`Ignoring invalid match score weight: ${name}`);
+      }
+    });
+  } catch (error) {
+    console.error('Invalid MATCH_SCORE_WEIGHTS, using defaults:', error.message);
+  }
+
+  return finalize();
+};
+
+/**
+ * SQL for the points of every factor, as `factor_*` columns
+ */
+const buildFactorColumns = () => Object.entries(SCORE_FACTORS)
+  .map(([name, factor]) => `(${factor.sql}) AS ${factorColumn(name)}`)
+  .join(',\n          ');
+
+/**
+ * SQL for the weighted score over the `factor_*` columns. Weights are
+ * validated numbers, so inlining them is safe.
+ */
+const buildScoreExpression = (weights) => Object.keys(SCORE_FACTORS)
+  .map(name => `${factorColumn(name)} * ${Number(weights[name])}`)
+  .join(' + ');
+
+/**
+ * Remove the factor columns from a result row. With `explain`, they are
+ * returned as `score_explanation`: each factor's raw value, points, weight
+ * and contribution to the score.
+ */
+const formatScoredRow = (row, weights, explain = false) => {
+  const formatted = { ...row };
+  const explanation = {};
+
+  Object.entries(SCORE_FACTORS).forEach(([name, factor]) => {
+    const column = factorColumn(name);
+    const points = Number(row[column]);
+    delete formatted[column];
+
+    explanation[name] = {
+      value: factor.value(row) ?? null,
+      points,
+      weight: weights[name],
+      contribution: Math.round(points * weights[name] * 100) / 100
+    };
+  });
+
+  if (explain) {
+    formatted.score_explanation = explanation;
+  }
+  return formatted;
+};
+
+export {
+  SCORE_FACTORS,
+  DEFAULT_SCORE_WEIGHTS,
+  getScoreWeights,
+  tagWeightsCte,
+  tagSimilaritySql,
+  buildFactorColumns,
+  buildScoreExpression,
+  formatScoredRow,
+};
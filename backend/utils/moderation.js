@@ -0,0 +1,59 @@
+const REPORT_REASONS = [
+  'fake_account',
+  'harassment',
+  'spam',
+  'inappropriate_content',
+  'underage',
+  'other'
+];
+
+const REPORT_STATUSES = ['open', 'in_review', 'resolved', 'dismissed'];
+
+// Actions an admin can take against the reported account when resolving
+const ACCOUNT_ACTIONS = ['none', 'suspend', 'ban'];
+
+/**
+ * Record an admin action in the moderation audit trail
+ */
+const recordModerationAction = async (client, { adminId, reportId = null, targetUserId, action, note = null }) => {
+  await client.query(
+    `INSERT INTO moderation_actions (admin_id, report_id, target_user_id, action, note)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [adminId, reportId, targetUserId, action, note]
+  );
+};
+
+/**
+ * Suspend (for a number of days) or ban an account.
+ * Administrators cannot be suspended or banned.
+ * Returns the updated user row, or null if the account cannot be actioned.
+ */
+const applyAccountAction = async (client, userId, action, suspendDays) => {
+  if (action === 'suspend') {
+    const result = await client.query(
+      `UPDATE users
+       SET status = 'suspended', suspended_until = NOW() + make_interval(days => $2)
+       WHERE id = $1 AND role != 'admin'
+       RETURNING id, status, suspended_until`,
+      [userId, suspendDays]
+    );
+    return result.rows[0] || null;
+  }
+
+  const result = await client.query(
+    `UPDATE users
+     SET status = 'banned', suspended_until = NULL
+     WHERE id = $1 AND role != 'admin'
+     RETURNING id, status, suspended_until`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+export {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  ACCOUNT_ACTIONS,
+  recordModerationAction,
+  applyAccountAction,
+};
@@ -0,0 +1,313 @@
+import pool from '../db/pool.js';
+
+const NOTIFICATION_TYPES = ['like', 'unlike', 'match', 'visit', 'message', 'saved_search'];
+
+// Repeats of these from the same user collapse into one unread notification
+// ("Alex visited your profile 5 times") for this long after the first one
+const COLLAPSIBLE_TYPES = ['visit', 'message'];
+const COLLAPSE_WINDOW = '24 hours';
+
+const DEFAULT_PREFERENCES = {
+  mutedTypes: [],
+  channels: { inApp: true, socket: true, email: true },
+  quietHours: null
+};
+
+/**
+ * Convert a notification_preferences row (or no row) to the API shape
+ */
+const toPreferences = (row) => {
+  if (!row || !row.user_id) {
+    return {
+      ...DEFAULT_PREFERENCES,
+      channels: { ...DEFAULT_PREFERENCES.channels }
+    };
+  }
+
+  return {
+    mutedTypes: row.muted_types,
+    channels: {
+      inApp: row.in_app_enabled,
+      socket: row.socket_enabled,
+      email: row.email_enabled
+    },
+    quietHours: row.quiet_hours_start && row.quiet_hours_end
+      ? {
+        start: row.quiet_hours_start.slice(0, 5),
+        end: row.quiet_hours_end.slice(0, 5),
+        timezone: row.timezone
+      }
+      : null
+  };
+};
+
+/**
+ * Get a user's notification preferences, with defaults if never set
+ */
+const getNotificationPreferences = async (userId, db = pool) => {
+  const result = await db.query(
+    'SELECT * FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+  return toPreferences(result.rows[0]);
+};
+
+/**
+ * Save a user's notification preferences. Fields left out keep their
+ * current value; `quietHours: null` turns quiet hours off.
+ */
+const updateNotificationPreferences = async (userId, changes, db = pool) => {
+  const current = await getNotificationPreferences(userId, db);
+  const channelChanges = Object.entries(changes.channels || {})
+    .filter(([, enabled]) => enabled !== undefined);
+
+  const preferences = {
+    mutedTypes: changes.mutedTypes ?? current.mutedTypes,
+    channels: { ...current.channels, ...Object.fromEntries(channelChanges) },
+    quietHours: changes.quietHours !== undefined ? changes.quietHours : current.quietHours
+  };
+
+  const result = await db.query(
+    `INSERT INTO notification_preferences
+       (user_id, muted_types, in_app_enabled, socket_enabled, email_enabled,
+        quiet_hours_start, quiet_hours_end, timezone, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET
+       muted_types = EXCLUDED.muted_types,
+       in_app_enabled = EXCLUDED.in_app_enabled,
+       socket_enabled = EXCLUDED.socket_enabled,
+       email_enabled = EXCLUDED.email_enabled,
+       quiet_hours_start = EXCLUDED.quiet_hours_start,
+       quiet_hours_end = EXCLUDED.quiet_hours_end,
+       timezone = EXCLUDED.timezone,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      userId,
+      [...new Set(preferences.mutedTypes)],
+      preferences.channels.inApp,
+      preferences.channels.socket,
+      preferences.channels.email,
+      preferences.quietHours?.start ?? null,
+      preferences.quietHours?.end ?? null,
+      preferences.quietHours?.timezone ?? 'UTC'
+    ]
+  );
+
+  return toPreferences(result.rows[0]);
+};
+
+/**
+ * Minutes since midnight of a date in the given time zone
+ */
+const getLocalMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+  return hour * 60 + minute;
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Whether the date falls in the user's quiet hours. A range like
+ * 22:00-07:00 wraps past midnight.
+ */
+const isInQuietHours = (preferences, date = new Date()) => {
+  const { quietHours } = preferences;
+  if (!quietHours) {
+    return false;
+  }
+
+  const now = getLocalMinutes(date, quietHours.timezone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+/**
+ * Fold a repeated event into the sender's unread notification of the same
+ * type, if there is a recent one. Returns its id, or null.
+ */
+const collapseNotification = async (db, { userId, type, fromUserId }) => {
+  const result = await db.query(
+    `UPDATE notifications
+     SET event_count = event_count + 1, last_event_at = NOW()
+     WHERE id = (
+       SELECT id FROM notifications
+       WHERE user_id = $1 AND type = $2 AND from_user_id = $3
+         AND is_read = false
+         AND created_at > NOW() - $4::interval
+       ORDER BY created_at DESC
+       LIMIT 1
+     )
+     RETURNING id`,
+    [userId, type, fromUserId, COLLAPSE_WINDOW]
+  );
+  return result.rows[0]?.id ?? null;
+};
+
+/**
+ * Create notifications, honoring each recipient's preferences: muted
+ * types are dropped, and a notification is stored only if some channel
+ * (in-app, socket or email) delivers it; `in_app` says whether it is
+ * listed in-app. Repeated visits and messages are
+ * collapsed into the existing unread notification. Each notification is
+ * { userId, type, fromUserId }, optionally with an eventCount and a
+ * savedSearchId; fromUserId is null for saved search alerts. Pass a transaction client as `db` to create them inside a
+ * transaction. Returns the ids of the new or updated rows, to hand to
+ * pushNotifications once committed.
+ */
+const createNotifications = async (db, notifications) => {
+  if (notifications.length === 0) {
+    return [];
+  }
+
+  const recipientIds = [...new Set(notifications.map(n => n.userId))];
+  const preferencesResult = await db.query(
+    'SELECT * FROM notification_preferences WHERE user_id = ANY($1)',
+    [recipientIds]
+  );
+
+  const preferencesByUser = new Map(
+    preferencesResult.rows.map(row => [row.user_id, toPreferences(row)])
+  );
+
+  const rows = notifications
+    .map(n => ({ ...n, preferences: preferencesByUser.get(n.userId) || toPreferences(null) }))
+    .filter(({ type, preferences }) =>
+      !preferences.mutedTypes.includes(type)
+      && (preferences.channels.inApp || preferences.channels.socket || preferences.channels.email));
+
+  const ids = [];
+  const toInsert = [];
+
+  for (const row of rows) {
+    const collapsedId = COLLAPSIBLE_TYPES.includes(row.type)
+      ? await collapseNotification(db, row)
+      : null;
+
+    if (collapsedId) {
+      ids.push(collapsedId);
+    } else {
+      toInsert.push(row);
+    }
+  }
+
+  if (toInsert.length === 0) {
+    return ids;
+  }
+
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, type, from_user_id, in_app, event_count, saved_search_id)
+     SELECT * FROM unnest($1::int[], $2::text[], $3::int[], $4::boolean[], $5::int[], $6::int[])
+     RETURNING id`,
+    [
+      toInsert.map(row => row.userId),
+      toInsert.map(row => row.type),
+      toInsert.map(row => row.fromUserId),
+      toInsert.map(row => row.preferences.channels.inApp),
+      toInsert.map(row => row.eventCount ?? 1),
+      toInsert.map(row => row.savedSearchId ?? null)
+    ]
+  );
+
+  return [...ids, ...result.rows.map(row => row.id)];
+};
+
+/**
+ * Push freshly created notifications to their recipients in real time.
+ * Each notification is loaded with the same shape GET /api/notifications
+ * returns and emitted to the recipient's `user_${id}` room, unless the
+ * recipient turned the socket channel off. Pushes during the recipient's
+ * quiet hours are deferred; the deferred pushes job sends them afterwards.
+ */
+const pushNotifications = async (io, notificationIds) => {
+  if (!io || notificationIds.length === 0) {
+    return;
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT
+        n.id,
+        n.user_id,
+        n.type,
+        n.is_read,
+        n.event_count,
+        n.created_at,
+        n.last_event_at,
+        n.saved_search_id,
+        (SELECT name FROM saved_searches WHERE id = n.saved_search_id) AS saved_search_name,
+        u.id AS from_user_id,
+        u.username AS from_username,
+        u.first_name AS from_first_name,
+        u.last_name AS from_last_name,
+        (SELECT url FROM images WHERE user_id = u.id AND is_profile_picture = true LIMIT 1) AS from_profile_picture,
+        row_to_json(np.*) AS preferences
+      FROM notifications n
+      LEFT JOIN users u ON u.id = n.from_user_id
+      LEFT JOIN notification_preferences np ON np.user_id = n.user_id
+      WHERE n.id = ANY($1)
+        AND NOT EXISTS(SELECT 1 FROM blocks WHERE blocker_id = n.user_id AND blocked_id = u.id)`,
+      [notificationIds]
+    );
+
+    const now = new Date();
+    const deferredIds = [];
+
+    result.rows.forEach(({ user_id: userId, preferences: row, ...notification }) => {
+      const preferences = toPreferences(row);
+      if (!preferences.channels.socket) {
+        return;
+      }
+
+      if (isInQuietHours(preferences, now)) {
+        deferredIds.push(notification.id);
+      } else {
+        io.emitNotification(userId, notification);
+      }
+    });
+
+    if (deferredIds.length > 0) {
+      await pool.query(
+        'UPDATE notifications SET push_deferred = true WHERE id = ANY($1)',
+        [deferredIds]
+      );
+    }
+  } catch (error) {
+    // Notifications are already stored, so a failed push must not fail the request
+    console.error('Error pushing notifications:', error);
+  }
+};
+
+/**
+ * Create notifications and push them right away (outside a transaction)
+ */
+const notify = async (io, notifications) => {
+  const ids = await createNotifications(pool, notifications);
+  await pushNotifications(io, ids);
+};
+
+export {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  isInQuietHours,
+  toPreferences,
+  createNotifications,
+  pushNotifications,
+  notify,
+};
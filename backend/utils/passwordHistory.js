@@ -0,0 +1,62 @@
+import bcrypt from 'bcrypt';
+import pool from '../db/pool.js';
+
+// A new password may not match the current one or any of the previous ones
+const PASSWORD_HISTORY_SIZE = 5;
+
+/**
+ * Check a candidate password against the current hash and recent history
+ */
+const isRecentPassword = async (userId, password) => {
+  const result = await pool.query(
+    `SELECT password_hash FROM users WHERE id = $1
+     UNION ALL
+     (SELECT password_hash FROM password_history
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2)`,
+    [userId, PASSWORD_HISTORY_SIZE - 1]
+  );
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Replace a user's password, keeping the old hash in the history.
+ * Must run inside the caller's transaction.
+ */
+const replacePassword = async (client, userId, newPasswordHash) => {
+  await client.query(
+    `INSERT INTO password_history (user_id, password_hash)
+     SELECT id, password_hash FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  await client.query(
+    'UPDATE users SET password_hash = $1 WHERE id = $2',
+    [newPasswordHash, userId]
+  );
+
+  // Only the most recent entries are ever checked
+  await client.query(
+    `DELETE FROM password_history
+     WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2
+     )`,
+    [userId, PASSWORD_HISTORY_SIZE - 1]
+  );
+};
+
+export {
+  isRecentPassword,
+  replacePassword,
+};
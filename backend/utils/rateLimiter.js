@@ -0,0 +1,96 @@
+/**
+ * Fixed-window counters behind a pluggable store.
+ *
+ * A store implements three async methods:
+ *   increment(key, windowMs) -> { count, resetAt }  (starts a new window if none is active)
+ *   get(key)                 -> { count, resetAt } | null
+ *   reset(key)
+ * The in-memory store below works for a single process; a shared store
+ * (e.g. Redis) can be plugged in with setRateLimitStore() for several.
+ */
+
+const CLEANUP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+/**
+ * In-memory store, with expired windows swept periodically
+ */
+const createMemoryStore = () => {
+  const entries = new Map(); // key -> { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, CLEANUP_INTERVAL_MS);
+  sweep.unref();
+
+  const getActive = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt > Date.now()) {
+      return entry;
+    }
+    return null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      let entry = getActive(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = getActive(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Replace the store used by every rate limiter
+ */
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+const getRateLimitStore = () => store;
+
+/**
+ * Create a limiter allowing `max` hits per key within `windowMs`.
+ * consume() returns { allowed, remaining, retryAfterMs }.
+ */
+const createRateLimiter = ({ keyPrefix, windowMs, max }) => ({
+  async consume(key) {
+    const { count, resetAt } = await store.increment(`${keyPrefix}:${key}`, windowMs);
+
+    return {
+      allowed: count <= max,
+      remaining: Math.max(0, max - count),
+      retryAfterMs: count <= max ? 0 : Math.max(0, resetAt - Date.now())
+    };
+  },
+
+  async reset(key) {
+    await store.reset(`${keyPrefix}:${key}`);
+  }
+});
+
+export {
+  createMemoryStore,
+  setRateLimitStore,
+  getRateLimitStore,
+  createRateLimiter,
+};
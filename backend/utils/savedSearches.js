@@ -0,0 +1,77 @@
+import pool from '../db/pool.js';
+import { getScoreWeights } from './matchingScore.js';
+import { normalizeSearchFilters, buildSearchQuery } from './browseQuery.js';
+
+const MAX_SAVED_SEARCHES = 10;
+
+/**
+ * Ids of the profiles currently matching a saved search, best score first.
+ * Returns null if the owner's profile is not complete enough to search.
+ */
+const findSavedSearchMatches = async (userId, filters, db = pool) => {
+  const currentUserResult = await db.query(
+    'SELECT gender, sexual_preference, latitude, longitude FROM profiles WHERE user_id = $1',
+    [userId]
+  );
+
+  const currentUser = currentUserResult.rows[0];
+  if (!currentUser || !currentUser.gender) {
+    return null;
+  }
+
+  const { query, params } = buildSearchQuery({
+    userId,
+    currentUser,
+    filters: normalizeSearchFilters(filters),
+    weights: getScoreWeights()
+  });
+
+  // Every match is returned: a profile left out here would be reported as
+  // new whenever it makes it back into a limited result
+  const result = await db.query(
+    `SELECT id FROM (${query}) results
+     ORDER BY score DESC, id ASC`,
+    params
+  );
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * Remember profiles as seen for a saved search. Returns the ids that were
+ * not seen before, in the given order.
+ */
+const recordSavedSearchMatches = async (savedSearchId, profileIds, db = pool) => {
+  if (profileIds.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    `INSERT INTO saved_search_matches (saved_search_id, matched_user_id)
+     SELECT $1::int, * FROM unnest($2::int[])
+     ON CONFLICT DO NOTHING
+     RETURNING matched_user_id`,
+    [savedSearchId, profileIds]
+  );
+
+  const newIds = new Set(result.rows.map(row => row.matched_user_id));
+  return profileIds.filter(id => newIds.has(id));
+};
+
+/**
+ * API shape of a saved_searches row
+ */
+const formatSavedSearch = (row) => ({
+  id: row.id,
+  name: row.name,
+  filters: row.filters,
+  notifyEmail: row.notify_email,
+  lastRunAt: row.last_run_at,
+  createdAt: row.created_at
+});
+
+export {
+  MAX_SAVED_SEARCHES,
+  findSavedSearchMatches,
+  recordSavedSearchMatches,
+  formatSavedSearch,
+};
@@ -0,0 +1,231 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../db/pool.js';
+import { generateToken, hashToken } from './tokens.js';
+
+// How stale last_used_at may get before an authenticated request refreshes it
+const LAST_USED_REFRESH_MS = 5 * 60 * 1000; // 5 minutes
+
+// A refresh token used this recently may be presented again, for tabs
+// refreshing at the same time; it then only yields a new access token
+const REFRESH_REUSE_GRACE_SECONDS = 10;
+
+// Refresh tokens (and so sessions) live this long; access tokens are short-lived
+const getRefreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+/**
+ * Sign a short-lived access token bound to a session (jti = session id)
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, email: user.email, username: user.username },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m', jwtid: sessionId }
+);
+
+/**
+ * Store a new refresh token for a session and return its raw value.
+ * Only the hash is kept in the database.
+ */
+const issueRefreshToken = async (sessionId, expiresAt, db = pool) => {
+  const refreshToken = generateToken();
+
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)`,
+    [sessionId, hashToken(refreshToken), expiresAt]
+  );
+
+  return refreshToken;
+};
+
+/**
+ * Create a server-side session with its first access and refresh tokens.
+ * The session is the refresh token family: revoking it kills every token.
+ * Returns { accessToken, refreshToken, session }.
+ */
+const createSession = async (user, { userAgent = null, ipAddress = null } = {}) => {
+  const sessionId = uuidv4();
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs());
+
+  const result = await pool.query(
+    `INSERT INTO sessions (id, user_id, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, created_at, last_used_at, expires_at`,
+    [sessionId, user.id, userAgent, ipAddress, expiresAt]
+  );
+
+  const refreshToken = await issueRefreshToken(sessionId, expiresAt);
+  const accessToken = signAccessToken(user, sessionId);
+
+  return { accessToken, refreshToken, session: result.rows[0] };
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token pair.
+ * A refresh token can only be used once; presenting a used one means it was
+ * stolen (or replayed), so the whole session is revoked. Within a few
+ * seconds of its first use it is still accepted, since several tabs may
+ * refresh at once, but only for a new access token: the successor issued
+ * on first use stays the session's only live refresh token (refreshToken
+ * is null).
+ * Returns { status: 'rotated' | 'invalid' | 'reused', ... }.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT rt.id, rt.used_at, s.id AS session_id, s.expires_at, s.revoked_at,
+              rt.used_at > NOW() - make_interval(secs => $2) AS recently_used,
+              u.id AS user_id, u.email, u.username, u.status, u.suspended_until
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(refreshToken), REFRESH_REUSE_GRACE_SECONDS]
+    );
+
+    const row = result.rows[0];
+
+    if (!row || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return { status: 'invalid' };
+    }
+
+    if (row.used_at && !row.recently_used) {
+      await client.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE id = $1',
+        [row.session_id]
+      );
+      await client.query('COMMIT');
+      return { status: 'reused', sessionId: row.session_id, userId: row.user_id };
+    }
+
+    await client.query(
+      'UPDATE sessions SET last_used_at = NOW() WHERE id = $1',
+      [row.session_id]
+    );
+
+    // A token replayed within the grace period keeps its first use time, so
+    // the grace period does not extend itself, and gets no refresh token
+    let nextRefreshToken = null;
+    if (!row.used_at) {
+      await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [row.id]);
+      nextRefreshToken = await issueRefreshToken(row.session_id, row.expires_at, client);
+    }
+
+    await client.query('COMMIT');
+
+    const user = { id: row.user_id, email: row.email, username: row.username };
+
+    return {
+      status: 'rotated',
+      user: { ...user, status: row.status, suspended_until: row.suspended_until },
+      sessionId: row.session_id,
+      accessToken: signAccessToken(user, row.session_id),
+      refreshToken: nextRefreshToken
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Check that a token's session is still active.
+ * Tokens issued without a jti are not bound to a session and are rejected.
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `SELECT last_used_at FROM sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  if (Date.now() - new Date(result.rows[0].last_used_at).getTime() > LAST_USED_REFRESH_MS) {
+    pool.query('UPDATE sessions SET last_used_at = NOW() WHERE id = $1', [sessionId])
+      .catch(err => console.error('Error updating session last used:', err));
+  }
+
+  return true;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+const listActiveSessions = async (userId) => {
+  const result = await pool.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Revoke one of a user's sessions.
+ * Returns true if an active session was revoked.
+ */
+const revokeSession = async (sessionId, userId) => {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Revoke every active session of a user (logout everywhere)
+ */
+const revokeAllSessions = async (userId, db = pool) => {
+  const result = await db.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Revoke every session of a user except the current one.
+ * Returns the ids of the revoked sessions.
+ */
+const revokeOtherSessions = async (userId, currentSessionId, db = pool) => {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND id != $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [userId, currentSessionId]
+  );
+
+  return result.rows.map(row => row.id);
+};
+
+export {
+  getRefreshTokenTtlMs,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+};
@@ -0,0 +1,156 @@
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Canonical form of a tag name: lowercase, without a leading `#`,
+ * diacritics or extra whitespace ("#Randonnée  " -> "randonnee"). A `#`
+ * inside the name is kept ("C#" -> "c#"). May return ''.
+ */
+const canonicalizeTag = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^[#\s]+/, '')
+  .toLowerCase();
+
+/**
+ * Escape LIKE wildcards so user input matches literally
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * SQL for the canonical tag names of an array param of tag names: names
+ * listed in tag_aliases are replaced by the tag they point to
+ */
+const resolvedTagNamesSql = (param) => `SELECT DISTINCT COALESCE(aliased.name, requested.name) AS name
+          FROM unnest(${param}::text[]) AS requested(name)
+          LEFT JOIN tag_aliases ta ON ta.alias = requested.name
+          LEFT JOIN tags aliased ON aliased.id = ta.tag_id`;
+
+/**
+ * Get the tag for a canonical name, following aliases, creating it if
+ * needed. Returns { id, name }.
+ */
+const resolveTag = async (client, name) => {
+  const aliasResult = await client.query(
+    `SELECT t.id, t.name FROM tag_aliases ta
+     JOIN tags t ON t.id = ta.tag_id
+     WHERE ta.alias = $1`,
+    [name]
+  );
+
+  if (aliasResult.rows.length > 0) {
+    return aliasResult.rows[0];
+  }
+
+  const tagResult = await client.query(
+    'INSERT INTO tags (name) VALUES ($1) ON CONFLICT (name) DO UPDATE SET name = $1 RETURNING id, name',
+    [name]
+  );
+  return tagResult.rows[0];
+};
+
+/**
+ * Merge the tag `duplicateId` into the tag `tagId`: its users get that tag
+ * instead, aliases pointing to it are moved over, and it is deleted.
+ * Returns the number of users who got the tag.
+ */
+const mergeTag = async (client, duplicateId, tagId) => {
+  // Keep the original date the tag was added, for trending
+  const movedResult = await client.query(
+    `INSERT INTO user_tags (user_id, tag_id, created_at)
+     SELECT user_id, $2, created_at FROM user_tags WHERE tag_id = $1
+     ON CONFLICT DO NOTHING`,
+    [duplicateId, tagId]
+  );
+
+  await client.query('UPDATE tag_aliases SET tag_id = $2 WHERE tag_id = $1', [duplicateId, tagId]);
+  await client.query('DELETE FROM tags WHERE id = $1', [duplicateId]);
+
+  return movedResult.rowCount;
+};
+
+/**
+ * Make `alias` a synonym of the tag named `target` (both canonical). If a
+ * tag named `alias` exists, it is merged into the target. Returns
+ * { alias, tag, mergedUsers }, or null if the alias would point to itself.
+ */
+const mergeTagAlias = async (client, alias, target) => {
+  const tag = await resolveTag(client, target);
+  if (tag.name === alias) {
+    return null;
+  }
+
+  let mergedUsers = 0;
+  const duplicateResult = await client.query('SELECT id FROM tags WHERE name = $1', [alias]);
+
+  if (duplicateResult.rows.length > 0) {
+    mergedUsers = await mergeTag(client, duplicateResult.rows[0].id, tag.id);
+  }
+
+  await client.query(
+    `INSERT INTO tag_aliases (alias, tag_id) VALUES ($1, $2)
+     ON CONFLICT (alias) DO UPDATE SET tag_id = $2`,
+    [alias, tag.id]
+  );
+
+  return { alias, tag, mergedUsers };
+};
+
+/**
+ * Work out how to canonicalize stored tags ({ id, name }, oldest first):
+ * tags are renamed to their canonical name, or merged into the tag that
+ * already has it. Tags with no canonical name left (e.g. "#") are kept as
+ * they are. Returns { renames: [{ id, name }], merges: [{ id, into }] }.
+ */
+const planTagCanonicalization = (tags) => {
+  const idsByName = new Map(tags.map(tag => [tag.name, tag.id]));
+  const renames = [];
+  const merges = [];
+
+  for (const { id, name } of tags) {
+    const canonicalName = canonicalizeTag(name);
+    if (!canonicalName || canonicalName === name) {
+      continue;
+    }
+
+    idsByName.delete(name);
+    if (idsByName.has(canonicalName)) {
+      merges.push({ id, into: idsByName.get(canonicalName) });
+    } else {
+      idsByName.set(canonicalName, id);
+      renames.push({ id, name: canonicalName });
+    }
+  }
+
+  return { renames, merges };
+};
+
+/**
+ * Rename tags stored before names were canonicalized, merging those whose
+ * canonical name is already taken. Returns { renamed, merged }.
+ */
+const canonicalizeStoredTags = async (client) => {
+  const result = await client.query('SELECT id, name FROM tags ORDER BY id');
+  const { renames, merges } = planTagCanonicalization(result.rows);
+
+  for (const { id, into } of merges) {
+    await mergeTag(client, id, into);
+  }
+  for (const { id, name } of renames) {
+    await client.query('UPDATE tags SET name = $2 WHERE id = $1', [id, name]);
+  }
+
+  return { renamed: renames.length, merged: merges.length };
+};
+
+export {
+  MAX_TAG_LENGTH,
+  canonicalizeTag,
+  escapeLike,
+  resolvedTagNamesSql,
+  resolveTag,
+  mergeTagAlias,
+  planTagCanonicalization,
+  canonicalizeStoredTags,
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random, URL-safe token for emailed links and cookies
+ */
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hash a token for storage, so a database leak does not leak usable tokens
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a value with JWT_SECRET, for long-lived links that must not need
+ * a stored token (e.g. unsubscribe links). Returns `${value}.${signature}`.
+ */
+const signValue = (value) => {
+  const signature = crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(String(value))
+    .digest('base64url');
+  return `${value}.${signature}`;
+};
+
+/**
+ * Check a token made by signValue. Returns the value, or null if the
+ * signature does not match.
+ */
+const verifySignedValue = (token) => {
+  const separator = token.lastIndexOf('.');
+  if (separator === -1) {
+    return null;
+  }
+
+  const value = token.slice(0, separator);
+  const expected = Buffer.from(signValue(value));
+  const actual = Buffer.from(token);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return value;
+};
+
+export {
+  generateToken,
+  hashToken,
+  signValue,
+  verifySignedValue,
+};
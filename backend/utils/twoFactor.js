@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../db/pool.js';
+
+// RFC 6238 defaults, which every authenticator app understands
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Accept codes from one period either side to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Time allowed between the password and the second factor at login
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+const LOGIN_CHALLENGE_AUDIENCE = 'login_2fa';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Generate a new random TOTP secret (base32, 160 bits)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan as a QR code
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'Matcha';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Compute the TOTP code for a time step (RFC 4226 dynamic truncation)
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a TOTP code against the current time window.
+ * Returns the matching time step, or null if the code is wrong.
+ */
+const verifyTotp = (secret, code) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Replace a user's backup recovery codes.
+ * Returns the new plaintext codes; only their hashes are stored.
+ */
+const generateBackupCodes = async (userId, db = pool) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM backup_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    `INSERT INTO backup_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codes.map(hashCode)]
+  );
+
+  return codes;
+};
+
+/**
+ * Check a second factor for a user with 2FA enabled: either a TOTP code
+ * (each time step is accepted only once) or an unused backup code, which
+ * is consumed. Returns true if the code is valid.
+ */
+const verifySecondFactor = async (user, code) => {
+  const normalized = String(code || '').trim().toLowerCase().replace(/\s+/g, '');
+
+  const step = verifyTotp(user.totp_secret, normalized);
+  if (step !== null) {
+    // Reject replays of a code that was already used
+    const result = await pool.query(
+      `UPDATE users SET totp_last_used_step = $2
+       WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)`,
+      [user.id, step]
+    );
+    return result.rowCount > 0;
+  }
+
+  const result = await pool.query(
+    `UPDATE backup_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [user.id, hashCode(normalized)]
+  );
+
+  return result.rowCount > 0;
+};
+
+// Login challenges are signed with their own key, derived from JWT_SECRET,
+// so they can never pass for an access token
+const getLoginChallengeSecret = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(LOGIN_CHALLENGE_AUDIENCE)
+  .digest();
+
+/**
+ * Sign the token proving a user passed the password step of a login
+ */
+const signLoginChallenge = (userId) => jwt.sign(
+  { userId },
+  getLoginChallengeSecret(),
+  { expiresIn: LOGIN_CHALLENGE_EXPIRES_IN, audience: LOGIN_CHALLENGE_AUDIENCE }
+);
+
+/**
+ * Check a login challenge. Returns its user id, or null if it is invalid
+ * or expired.
+ */
+const verifyLoginChallenge = (token) => {
+  try {
+    const challenge = jwt.verify(token, getLoginChallengeSecret(), { audience: LOGIN_CHALLENGE_AUDIENCE });
+    return challenge.userId;
+  } catch {
+    return null;
+  }
+};
+
+export {
+  generateTotpSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  generateBackupCodes,
+  verifySecondFactor,
+  signLoginChallenge,
+  verifyLoginChallenge,
+};